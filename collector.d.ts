@@ -0,0 +1,55 @@
+import { IncomingMessage, ServerResponse } from 'http';
+
+export interface ReportCollectorOptions {
+    /**
+     * The JSON lines file the reports are appended to, one violation per
+     * line.
+     */
+    filename: string;
+    /**
+     * The url path reports are sent to.
+     * @default '/csp-reports'
+     */
+    path?: string | undefined;
+    /**
+     * The maximum size of a report body in bytes.
+     * @default 65536
+     */
+    limit?: number | undefined;
+    /**
+     * The filesystem to write to.
+     * @default require('fs')
+     */
+    fs?: {
+        appendFile(
+            path: string,
+            data: string,
+            callback: (err: Error | null) => void
+        ): void;
+    } | undefined;
+}
+
+/**
+ * A violation as it is written to the reports file, whichever format the
+ * browser sent it in.
+ */
+export interface CollectedReport {
+    receivedAt: string;
+    documentUrl: string | null;
+    blockedUrl: string | null;
+    effectiveDirective: string;
+    disposition: 'enforce' | 'report';
+    sample: string | null;
+    sourceFile: string | null;
+    lineNumber: number | null;
+}
+
+/**
+ * Creates middleware which receives the violation reports browsers send to
+ * report-uri and report-to endpoints, and appends them to a JSON lines file.
+ * Works as a node http request listener and as Express / Connect /
+ * webpack-dev-server middleware.
+ */
+export function createReportCollector(
+    options: ReportCollectorOptions
+): (req: IncomingMessage, res: ServerResponse, next?: () => void) => void;
@@ -0,0 +1,367 @@
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { createReportCollector } = require('./collector');
+const { run } = require('./lib/cli');
+
+/**
+ * Posts a body to a server listening on a random port
+ * @param {function} listener - the http request listener
+ * @param {string} url - the url to post to
+ * @param {string} contentType - the content type of the body
+ * @param {string} body - the body to post
+ * @return {Promise<number>} - resolves with the status code
+ */
+function post(listener, url, contentType, body) {
+  const server = http.createServer(listener);
+
+  return new Promise((resolve, reject) => {
+    server.listen(0, '127.0.0.1', () => {
+      const req = http.request(
+        {
+          host: '127.0.0.1',
+          port: server.address().port,
+          path: url,
+          method: 'POST',
+          headers: { 'Content-Type': contentType },
+        },
+        (res) => {
+          res.resume();
+          res.on('end', () => {
+            server.close();
+            resolve(res.statusCode);
+          });
+        }
+      );
+      req.on('error', (err) => {
+        server.close();
+        reject(err);
+      });
+      req.end(body);
+    });
+  });
+}
+
+/**
+ * Runs a command, capturing what it writes
+ * @param {string[]} args - the command line arguments
+ * @return {{code: number, stdout: string, stderr: string}}
+ */
+function runCommand(args) {
+  const output = { stdout: '', stderr: '' };
+  const stream = (name) => ({
+    write: (str) => {
+      output[name] += str;
+    },
+  });
+
+  const code = run(args, {
+    stdout: stream('stdout'),
+    stderr: stream('stderr'),
+  });
+  return { code, ...output };
+}
+
+const cspReport = {
+  'csp-report': {
+    'document-uri': 'https://example.com/index.html',
+    'blocked-uri': 'https://cdn.example.com/library.js',
+    'violated-directive': "script-src-elem 'self'",
+    disposition: 'enforce',
+    'source-file': 'https://example.com/index.html',
+    'line-number': 12,
+  },
+};
+
+const reportingApiReports = [
+  {
+    type: 'csp-violation',
+    url: 'https://example.com/',
+    body: {
+      documentURL: 'https://example.com/',
+      blockedURL: 'inline',
+      effectiveDirective: 'script-src-attr',
+      disposition: 'enforce',
+      sample: 'alert(1)',
+    },
+  },
+  {
+    type: 'csp-violation',
+    url: 'https://example.com/',
+    body: {
+      documentURL: 'https://example.com/',
+      blockedURL: 'https://cdn.example.com/other.js',
+      effectiveDirective: 'script-src-elem',
+      disposition: 'enforce',
+    },
+  },
+  { type: 'deprecation', url: 'https://example.com/', body: {} },
+];
+
+describe('Report collector', () => {
+  let dir;
+  let filename;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'csp-reports-'));
+    filename = path.join(dir, 'csp-reports.jsonl');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('throws an error if no filename is given', () => {
+    expect(() => createReportCollector({})).toThrow(
+      new Error('The filename option is required')
+    );
+  });
+
+  it('appends report-uri and Reporting API violations to the JSON lines file', (done) => {
+    const collector = createReportCollector({ filename });
+
+    post(
+      collector,
+      '/csp-reports',
+      'application/csp-report',
+      JSON.stringify(cspReport)
+    )
+      .then((status) => {
+        expect(status).toEqual(204);
+        return post(
+          collector,
+          '/csp-reports',
+          'application/reports+json',
+          JSON.stringify(reportingApiReports)
+        );
+      })
+      .then((status) => {
+        expect(status).toEqual(204);
+
+        const lines = fs
+          .readFileSync(filename, 'utf8')
+          .trim()
+          .split('\n')
+          .map((line) => JSON.parse(line));
+        expect(lines.map(({ receivedAt, ...report }) => report)).toEqual([
+          {
+            documentUrl: 'https://example.com/index.html',
+            blockedUrl: 'https://cdn.example.com/library.js',
+            effectiveDirective: 'script-src-elem',
+            disposition: 'enforce',
+            sample: null,
+            sourceFile: 'https://example.com/index.html',
+            lineNumber: 12,
+          },
+          {
+            documentUrl: 'https://example.com/',
+            blockedUrl: 'inline',
+            effectiveDirective: 'script-src-attr',
+            disposition: 'enforce',
+            sample: 'alert(1)',
+            sourceFile: null,
+            lineNumber: null,
+          },
+          {
+            documentUrl: 'https://example.com/',
+            blockedUrl: 'https://cdn.example.com/other.js',
+            effectiveDirective: 'script-src-elem',
+            disposition: 'enforce',
+            sample: null,
+            sourceFile: null,
+            lineNumber: null,
+          },
+        ]);
+        lines.forEach(({ receivedAt }) =>
+          expect(new Date(receivedAt).toISOString()).toEqual(receivedAt)
+        );
+        done();
+      });
+  });
+
+  it('rejects requests which are not reports', (done) => {
+    const collector = createReportCollector({ filename, limit: 100 });
+
+    Promise.all([
+      post(collector, '/other', 'application/csp-report', '{}'),
+      post(collector, '/csp-reports', 'text/plain', '{}'),
+      post(collector, '/csp-reports', 'application/csp-report', '{'),
+      post(
+        collector,
+        '/csp-reports',
+        'application/csp-report',
+        JSON.stringify({ 'csp-report': { sample: 'x'.repeat(100) } })
+      ),
+    ]).then((statuses) => {
+      expect(statuses).toEqual([404, 415, 400, 413]);
+      expect(fs.existsSync(filename)).toBe(false);
+      done();
+    });
+  });
+
+  it('passes requests for anything else on to the next middleware', () => {
+    const collector = createReportCollector({ filename });
+    const next = jest.fn();
+
+    collector({ method: 'GET', url: '/csp-reports', headers: {} }, {}, next);
+
+    expect(next).toHaveBeenCalled();
+  });
+});
+
+describe('suggest command', () => {
+  let dir;
+
+  const writeFile = (name, content) => {
+    const filename = path.join(dir, name);
+    fs.writeFileSync(filename, content);
+    return filename;
+  };
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'csp-suggest-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const reports = [
+    {
+      documentUrl: 'https://example.com/',
+      blockedUrl: 'https://cdn.example.com/library.js',
+      effectiveDirective: 'script-src-elem',
+      disposition: 'enforce',
+    },
+    {
+      documentUrl: 'https://example.com/index.html',
+      blockedUrl: 'https://cdn.example.com/other.js',
+      effectiveDirective: 'script-src-elem',
+      disposition: 'enforce',
+    },
+    {
+      documentUrl: 'https://example.com/',
+      blockedUrl: 'https://example.com/image.png',
+      effectiveDirective: 'img-src',
+      disposition: 'enforce',
+    },
+    {
+      documentUrl: 'https://example.com/',
+      blockedUrl: 'eval',
+      effectiveDirective: 'script-src',
+      disposition: 'enforce',
+    },
+    {
+      documentUrl: 'https://example.com/',
+      blockedUrl: 'inline',
+      effectiveDirective: 'script-src-attr',
+      disposition: 'enforce',
+      sample: 'alert(1)',
+    },
+    {
+      documentUrl: 'https://example.com/',
+      blockedUrl: 'inline',
+      effectiveDirective: 'style-src-elem',
+      disposition: 'enforce',
+      sample: 'body { background-color: #e6e6e6; color: #',
+    },
+    {
+      documentUrl: 'https://example.com/',
+      blockedUrl: 'data:image/png;base64,AAAA',
+      effectiveDirective: 'img-src',
+      disposition: 'report',
+    },
+  ];
+
+  it('suggests the sources to add to the directives reported, with counts', () => {
+    const filename = writeFile(
+      'csp-reports.jsonl',
+      `${reports
+        .map((report) => JSON.stringify(report))
+        .join('\n')}\nnot json\n`
+    );
+
+    const { code, stdout } = runCommand([
+      'suggest',
+      '--reports',
+      filename,
+      '--json',
+    ]);
+
+    expect(code).toEqual(0);
+    expect(JSON.parse(stdout)).toEqual({
+      'img-src': [
+        { source: "'self'", count: 1 },
+        { source: 'data:', count: 1 },
+      ],
+      'script-src': [{ source: "'unsafe-eval'", count: 1 }],
+      'script-src-attr': [
+        { source: "'unsafe-hashes'", count: 1 },
+        {
+          source: "'sha256-bhHHL3z2vDgxUt0W3dWQOrprscmda2Y5pLsLg4GF+pI='",
+          count: 1,
+        },
+      ],
+      'script-src-elem': [{ source: 'https://cdn.example.com', count: 2 }],
+      'style-src-elem': [{ source: "'unsafe-inline'", count: 1 }],
+    });
+  });
+
+  it('suggests sources for the directives in effect for each page, leaving out those already allowed', () => {
+    const filename = writeFile(
+      'csp-reports.jsonl',
+      reports.map((report) => JSON.stringify(report)).join('\n')
+    );
+    const manifest = writeFile(
+      'csp-manifest.json',
+      JSON.stringify({
+        'index.html': {
+          policy: {
+            'default-src': "'self'",
+            'script-src': ["'self'", "'unsafe-eval'"],
+          },
+          reportOnlyPolicy: { 'img-src': "'self'" },
+        },
+      })
+    );
+
+    const { code, stdout } = runCommand([
+      'suggest',
+      '--reports',
+      filename,
+      '--manifest',
+      manifest,
+    ]);
+
+    expect(code).toEqual(0);
+    expect(stdout).toEqual(
+      [
+        'default-src',
+        "  + 'unsafe-inline' (1 report)",
+        '',
+        'img-src',
+        '  + data: (1 report)',
+        '',
+        'script-src',
+        '  + https://cdn.example.com (2 reports)',
+        "  + 'unsafe-hashes' (1 report)",
+        "  + 'sha256-bhHHL3z2vDgxUt0W3dWQOrprscmda2Y5pLsLg4GF+pI=' (1 report)",
+        '',
+      ].join('\n')
+    );
+  });
+
+  it('prints the usage for an unknown command, and an error for missing options', () => {
+    expect(runCommand(['unknown'])).toEqual({
+      code: 1,
+      stdout: '',
+      stderr: expect.stringContaining('Usage: csp-webpack-plugin'),
+    });
+    expect(runCommand(['suggest'])).toEqual({
+      code: 1,
+      stdout: '',
+      stderr: 'suggest needs the --reports file to read\n',
+    });
+  });
+});
@@ -0,0 +1,115 @@
+const fs = require('fs');
+const { normalizeReports } = require('./lib/suggest');
+
+const defaultOptions = {
+  path: '/csp-reports',
+  limit: 64 * 1024,
+  fs,
+};
+
+// report-uri sends application/csp-report, while the Reporting API sends application/reports+json
+const reportContentTypes = [
+  'application/csp-report',
+  'application/reports+json',
+  'application/json',
+];
+
+/**
+ * Reads the body of a request, giving up once it is bigger than the limit
+ * @param {object} req - the request
+ * @param {number} limit - the maximum size of the body in bytes
+ * @return {Promise<string|null>} - resolves with null if the body was too big
+ */
+const readBody = (req, limit) =>
+  new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size <= limit) {
+        chunks.push(chunk);
+      }
+    });
+    req.on('end', () =>
+      resolve(size > limit ? null : Buffer.concat(chunks).toString('utf8'))
+    );
+    req.on('error', reject);
+  });
+
+/**
+ * Creates middleware which receives the violation reports browsers send to report-uri and report-to endpoints,
+ * and appends them to a JSON lines file, one violation per line, for the suggest command to read.
+ * It can be used as a node http request listener, or as Express / Connect / webpack-dev-server middleware, in which case
+ * requests for anything other than the report path are passed on to the next middleware.
+ * @param {object} options
+ * @param {string} options.filename - the JSON lines file the reports are appended to
+ * @param {string} [options.path] - the url path reports are sent to
+ * @param {number} [options.limit] - the maximum size of a report body in bytes
+ * @param {object} [options.fs] - the filesystem to write to
+ * @return {function(object, object, function=)}
+ */
+const createReportCollector = (options) => {
+  const {
+    filename,
+    path: reportPath,
+    limit,
+    fs: fileSystem,
+  } = { ...defaultOptions, ...options };
+  if (!filename) {
+    throw new Error('The filename option is required');
+  }
+
+  const respond = (res, statusCode) => {
+    res.statusCode = statusCode;
+    res.end();
+  };
+
+  return (req, res, next) => {
+    if (req.method !== 'POST' || req.url.split(/[?#]/)[0] !== reportPath) {
+      if (next) {
+        return next();
+      }
+      return respond(res, 404);
+    }
+
+    const contentType = `${req.headers['content-type'] || ''}`
+      .split(';')[0]
+      .trim()
+      .toLowerCase();
+    if (!reportContentTypes.includes(contentType)) {
+      return respond(res, 415);
+    }
+
+    return readBody(req, limit)
+      .then((body) => {
+        if (body === null) {
+          return respond(res, 413);
+        }
+
+        let reports;
+        try {
+          reports = normalizeReports(JSON.parse(body));
+        } catch (e) {
+          return respond(res, 400);
+        }
+
+        const receivedAt = new Date().toISOString();
+        const lines = reports
+          .map((report) => `${JSON.stringify({ receivedAt, ...report })}\n`)
+          .join('');
+        if (!lines) {
+          return respond(res, 204);
+        }
+
+        return fileSystem.appendFile(filename, lines, (err) =>
+          respond(res, err ? 500 : 204)
+        );
+      })
+      .catch(() => respond(res, 400));
+  };
+};
+
+module.exports = {
+  createReportCollector,
+};
@@ -0,0 +1,56 @@
+/**
+ * Finds the chunks a page loads, through the entrypoints HtmlWebpackPlugin includes in it
+ * Async chunks are included too, since the page goes on to load them.
+ * @param {object} compilation - the webpack compilation object
+ * @param {object} htmlPluginOptions - the options of the HtmlWebpackPlugin instance
+ * @return {object[]} - the chunks
+ */
+const getPageChunks = (compilation, htmlPluginOptions = {}) => {
+  const { chunks = 'all', excludeChunks = [] } = htmlPluginOptions;
+
+  const pageChunks = new Set();
+  compilation.entrypoints.forEach((entrypoint, name) => {
+    if (
+      (chunks !== 'all' && !chunks.includes(name)) ||
+      excludeChunks.includes(name)
+    ) {
+      return;
+    }
+
+    entrypoint.chunks.forEach((chunk) =>
+      [chunk, ...chunk.getAllAsyncChunks()].forEach((pageChunk) =>
+        pageChunks.add(pageChunk)
+      )
+    );
+  });
+
+  return Array.from(pageChunks);
+};
+
+/**
+ * Gets the modules in chunks, with concatenated modules broken back into the modules they were made from
+ * @param {object} compilation - the webpack compilation object
+ * @param {object[]} chunks - the chunks
+ * @return {object[]} - the modules
+ */
+const getChunkModules = (compilation, chunks) =>
+  chunks.reduce(
+    (modules, chunk) => [
+      ...modules,
+      ...Array.from(
+        compilation.chunkGraph.getChunkModulesIterable(chunk)
+      ).reduce(
+        (chunkModules, module) => [
+          ...chunkModules,
+          ...(module.modules ? Array.from(module.modules) : [module]),
+        ],
+        []
+      ),
+    ],
+    []
+  );
+
+module.exports = {
+  getPageChunks,
+  getChunkModules,
+};
@@ -0,0 +1,137 @@
+const fs = require('fs');
+const path = require('path');
+const {
+  parseReports,
+  suggestSources,
+  formatSuggestions,
+} = require('./suggest');
+const { verifyBuild } = require('../verify');
+
+const usage = [
+  'Usage: csp-webpack-plugin <command> [options]',
+  '',
+  'Commands:',
+  '  suggest --reports <file> [--manifest <file>] [--json]',
+  '    suggest the sources to add to the policy from the reports written by the report collector',
+  '  verify <dir> [--origin <url>] [--json]',
+  '    check every html file in the build is allowed by its own policy, and its integrity attributes match the files',
+].join('\n');
+
+// the flags which don't take a value
+const booleanFlags = ['json'];
+
+/**
+ * Parses the command line arguments into the command, its positional arguments and its flags
+ * @param {string[]} args - the arguments, without the node executable and script
+ * @return {{command: string, args: string[], flags: object}}
+ */
+const parseArgs = ([command, ...rest]) =>
+  rest.reduce(
+    (parsed, arg, i) => {
+      if (parsed.skip === i) {
+        return parsed;
+      }
+      if (!arg.startsWith('--')) {
+        return { ...parsed, args: [...parsed.args, arg] };
+      }
+
+      const name = arg.slice(2);
+      if (booleanFlags.includes(name)) {
+        return { ...parsed, flags: { ...parsed.flags, [name]: true } };
+      }
+      return {
+        ...parsed,
+        flags: { ...parsed.flags, [name]: rest[i + 1] },
+        skip: i + 1,
+      };
+    },
+    { command, args: [], flags: {} }
+  );
+
+/**
+ * The commands, each of which writes its output and returns the exit code
+ */
+const commands = {
+  suggest: ({ flags, stdout, fileSystem }) => {
+    if (typeof flags.reports !== 'string') {
+      throw new Error('suggest needs the --reports file to read');
+    }
+
+    const reports = parseReports(
+      fileSystem.readFileSync(flags.reports, 'utf8').toString()
+    );
+    const manifest =
+      typeof flags.manifest === 'string'
+        ? JSON.parse(fileSystem.readFileSync(flags.manifest, 'utf8').toString())
+        : null;
+
+    const suggestions = suggestSources(reports, manifest);
+    stdout.write(
+      `${
+        flags.json
+          ? JSON.stringify(suggestions, null, 2)
+          : formatSuggestions(suggestions)
+      }\n`
+    );
+    return 0;
+  },
+
+  verify: ({ args, flags, stdout, fileSystem }) => {
+    const [dir] = args;
+    if (!dir) {
+      throw new Error('verify needs the directory of the build to check');
+    }
+
+    const problems = verifyBuild(path.resolve(dir), {
+      fs: fileSystem,
+      ...(typeof flags.origin === 'string' && { origin: flags.origin }),
+    });
+
+    if (flags.json) {
+      stdout.write(`${JSON.stringify(problems, null, 2)}\n`);
+    } else {
+      problems.forEach(({ file, line, message }) =>
+        stdout.write(`${path.join(dir, file)}:${line} ${message}\n`)
+      );
+      stdout.write(
+        `${problems.length} problem${problems.length === 1 ? '' : 's'} found\n`
+      );
+    }
+    return problems.length ? 1 : 0;
+  },
+};
+
+/**
+ * Runs a command of the csp-webpack-plugin executable
+ * @param {string[]} args - the arguments, without the node executable and script
+ * @param {object} [io]
+ * @param {object} [io.stdout] - where the output is written
+ * @param {object} [io.stderr] - where errors and the usage are written
+ * @param {object} [io.fs] - the filesystem to read from
+ * @return {number} - the exit code
+ */
+const run = (
+  args,
+  { stdout = process.stdout, stderr = process.stderr, fs: fileSystem = fs } = {}
+) => {
+  const { command, args: commandArgs, flags } = parseArgs(args);
+  if (!commands[command]) {
+    stderr.write(`${usage}\n`);
+    return command ? 1 : 0;
+  }
+
+  try {
+    return commands[command]({
+      args: commandArgs,
+      flags,
+      stdout,
+      stderr,
+      fileSystem,
+    });
+  } catch (e) {
+    stderr.write(`${e.message}\n`);
+    return 1;
+  }
+};
+
+module.exports = { run };
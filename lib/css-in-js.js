@@ -0,0 +1,82 @@
+/**
+ * Reads the nonce from the <meta name="csp-nonce"> tag the plugin writes into each page, for the chunks and styles webpack
+ * inserts at runtime and the CSS-in-JS libraries
+ * getStyleNonce in runtime.js calls it, and its source is injected into the bundle as readNonceExpression, which is why it's kept
+ * out of coverage instrumentation. The nonce attribute is hidden from the DOM once the policy is applied, so the content attribute
+ * is the fallback for servers which write the meta tag themselves.
+ * @return {string|undefined} - undefined outside the browser, or if the page doesn't have the meta tag
+ */
+/* istanbul ignore next */
+const readNonce = () => {
+  const meta =
+    typeof document !== 'undefined' &&
+    document.querySelector('meta[name="csp-nonce"]');
+  return (meta && (meta.nonce || meta.getAttribute('content'))) || undefined;
+};
+
+// the expression which reads the nonce in the bundle
+const readNonceExpression = `(${readNonce})()`;
+
+/**
+ * The CSS-in-JS libraries which insert <style> tags at runtime, and how each of them is given the nonce
+ * - definitions are the expressions the library reads the nonce from, which are replaced to read the meta tag
+ * - webpackNonce means the library uses __webpack_nonce__, which is set from the meta tag before anything else runs
+ * - content means the library reads the content attribute of the meta tag itself, so the nonce is written there too
+ * Libraries with none of these (e.g. Emotion) take the nonce through their own api, see getStyleNonce in runtime.js.
+ */
+const cssInJsAdapters = {
+  primereact: {
+    docs: 'https://github.com/primefaces/primereact/issues/2423',
+    definitions: ['process.env.REACT_APP_CSS_NONCE'],
+  },
+  'styled-components': {
+    docs: 'https://github.com/styled-components/styled-components/issues/887',
+    webpackNonce: true,
+  },
+  emotion: {
+    docs: 'https://emotion.sh/docs/@emotion/cache#nonce',
+  },
+  // MUI v4 styles with JSS, while v5 and later style with Emotion
+  mui: {
+    docs: 'https://mui.com/material-ui/guides/content-security-policy/',
+    content: true,
+  },
+  jss: {
+    docs: 'https://cssinjs.org/csp',
+    content: true,
+  },
+};
+
+/**
+ * Finds the CSS-in-JS adapters to use, where primeReactEnabled is kept as a shorthand for the primereact adapter
+ * @param {string[]} names - the cssInJs option
+ * @param {boolean} primeReactEnabled - the primeReactEnabled option
+ * @return {object[]}
+ */
+const getCssInJsAdapters = (names, primeReactEnabled) =>
+  [...new Set([...(primeReactEnabled ? ['primereact'] : []), ...names])].map(
+    (name) => {
+      if (!Object.prototype.hasOwnProperty.call(cssInJsAdapters, name)) {
+        throw new Error(`'${name}' is not a valid CSS-in-JS adapter`);
+      }
+      return cssInJsAdapters[name];
+    }
+  );
+
+// the module injected at the start of every entry, which sets __webpack_nonce__ from the meta tag, or else from the nonce of the
+// script running it, unless it's already been set
+const webpackNonceScript = `(function () {
+  if (__webpack_nonce__) {
+    return;
+  }
+  var script = typeof document !== 'undefined' && document.currentScript;
+  __webpack_nonce__ = ${readNonceExpression} || (script && script.nonce) || undefined;
+})();`;
+
+module.exports = {
+  readNonce,
+  readNonceExpression,
+  cssInJsAdapters,
+  getCssInJsAdapters,
+  webpackNonceScript,
+};
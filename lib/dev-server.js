@@ -0,0 +1,132 @@
+const path = require('path');
+
+/**
+ * Checks whether the compilation is being served by webpack-dev-server, rather than just having devServer in its config
+ * - `webpack serve` sets WEBPACK_SERVE
+ * - webpack-dev-server started through its api watches the compiler, and adds its client as a global entry
+ * @param {object} compilation - the webpack compilation object
+ * @return {boolean}
+ */
+const isDevServer = (compilation) => {
+  const { options, compiler } = compilation;
+  if (!options.devServer || options.mode === 'production') {
+    return false;
+  }
+  if (process.env.WEBPACK_SERVE === 'true') {
+    return true;
+  }
+
+  const { dependencies = [], includeDependencies = [] } =
+    compilation.globalEntry || {};
+  return (
+    Boolean(compiler && compiler.watchMode) &&
+    [...dependencies, ...includeDependencies].some((dependency) =>
+      /[\\/]webpack-dev-server[\\/]client[\\/]/.test(dependency.request)
+    )
+  );
+};
+
+// hosts which make the dev server listen on every interface
+const wildcardHosts = ['0.0.0.0', '::', 'local-ip', 'local-ipv4', 'local-ipv6'];
+
+/**
+ * Gets the url the HMR / live reload client connects its websocket to
+ * https://webpack.js.org/configuration/dev-server/#websocketurl
+ * @param {object} devServer - the devServer options
+ * @return {string|null} - null if the dev server doesn't use a websocket
+ */
+const getWebSocketSource = (devServer) => {
+  if (
+    devServer.webSocketServer === false ||
+    (devServer.hot === false && devServer.liveReload === false)
+  ) {
+    return null;
+  }
+
+  const { webSocketURL = {} } = devServer.client || {};
+  if (typeof webSocketURL === 'string') {
+    const url = new URL(webSocketURL);
+    return `${url.protocol}//${url.host}`;
+  }
+
+  const serverType =
+    (devServer.server && devServer.server.type) || devServer.server;
+  const secure =
+    ['https', 'spdy'].includes(serverType) || Boolean(devServer.https);
+  const protocol = webSocketURL.protocol || (secure ? 'wss:' : 'ws:');
+
+  // the dev server listening on every interface is connected to through localhost
+  const host = webSocketURL.hostname || devServer.host || 'localhost';
+
+  // the port isn't known until the dev server has started when it is chosen automatically
+  const port = webSocketURL.port || devServer.port;
+  return `${protocol.replace(/:?$/, ':')}//${
+    wildcardHosts.includes(host) ? 'localhost' : host
+  }:${/^[0-9]+$/.test(`${port}`) ? port : '*'}`;
+};
+
+/**
+ * Checks whether style-loader is used, which injects <style> tags we can't hash
+ * @param {object} options - the webpack options of the compilation
+ * @return {boolean}
+ */
+const usesStyleLoader = (options) => {
+  try {
+    return JSON.stringify(options.module.rules || []).includes('style-loader');
+  } catch (e) {
+    // rules we can't serialize can't be checked, so assume the usual development setup
+    return true;
+  }
+};
+
+/**
+ * Works out the sources needed for the dev server to work, on top of the policy we would use in production
+ * - the websocket used by hot module replacement and live reload
+ * - 'unsafe-eval' for eval based devtools
+ * - 'unsafe-inline' for the <style> tags injected by style-loader, which means style hashes and nonces can't be used
+ * @param {object} options - the webpack options of the compilation
+ * @return {{sources: object, inlineStyles: boolean}}
+ */
+const getDevServerSources = (options) => {
+  const sources = {};
+
+  const webSocketSource = getWebSocketSource(options.devServer);
+  if (webSocketSource) {
+    sources['connect-src'] = [webSocketSource];
+  }
+
+  if (`${options.devtool || ''}`.includes('eval')) {
+    sources['script-src'] = ["'unsafe-eval'"];
+  }
+
+  const inlineStyles = usesStyleLoader(options);
+  if (inlineStyles) {
+    sources['style-src'] = ["'unsafe-inline'"];
+  }
+
+  return { sources, inlineStyles };
+};
+
+/**
+ * Creates dev server middleware which adds the headers of the latest build of each html file to its response
+ * @param {Map<string, object>} pageHeaders - the headers of each html file, keyed by its url path
+ * @return {function(object, object, function)}
+ */
+const createDevServerMiddleware = (pageHeaders) => (req, res, next) => {
+  let pathname = req.url.split(/[?#]/)[0];
+  if (pathname.endsWith('/')) {
+    pathname = path.posix.join(pathname, 'index.html');
+  }
+
+  const headers = pageHeaders.get(pathname);
+  if (headers) {
+    Object.keys(headers).forEach((name) => res.setHeader(name, headers[name]));
+  }
+  next();
+};
+
+module.exports = {
+  isDevServer,
+  getDevServerSources,
+  createDevServerMiddleware,
+};
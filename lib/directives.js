@@ -0,0 +1,294 @@
+const compact = require('lodash/compact');
+const flatten = require('lodash/flatten');
+const isNil = require('lodash/isNil');
+const uniq = require('lodash/uniq');
+
+/**
+ * Every directive we know about, along with the kind of value it takes
+ * - source-list: a list of source expressions e.g. 'self' https://example.com
+ * - ancestor-source-list: a source list which only allows hosts, schemes, 'self' and 'none'
+ * - tokens: a list of tokens from a fixed set
+ * - uri-list: a list of urls
+ * - token: a single token
+ * - none: no value at all
+ * - trusted-types: a list of trusted types policy names
+ * Deprecated directives are still understood by some browsers, while experimental ones are only supported by a few
+ * https://www.w3.org/TR/CSP3/#csp-directives
+ */
+const directives = {
+  'child-src': { kind: 'source-list' },
+  'connect-src': { kind: 'source-list' },
+  'default-src': { kind: 'source-list' },
+  'font-src': { kind: 'source-list' },
+  'frame-src': { kind: 'source-list' },
+  'img-src': { kind: 'source-list' },
+  'manifest-src': { kind: 'source-list' },
+  'media-src': { kind: 'source-list' },
+  'object-src': { kind: 'source-list' },
+  'script-src': { kind: 'source-list' },
+  'script-src-elem': { kind: 'source-list' },
+  'script-src-attr': { kind: 'source-list' },
+  'style-src': { kind: 'source-list' },
+  'style-src-elem': { kind: 'source-list' },
+  'style-src-attr': { kind: 'source-list' },
+  'worker-src': { kind: 'source-list' },
+  'base-uri': { kind: 'source-list' },
+  'form-action': { kind: 'source-list' },
+  'frame-ancestors': { kind: 'ancestor-source-list' },
+  sandbox: {
+    kind: 'tokens',
+    tokens: [
+      'allow-downloads',
+      'allow-forms',
+      'allow-modals',
+      'allow-orientation-lock',
+      'allow-pointer-lock',
+      'allow-popups',
+      'allow-popups-to-escape-sandbox',
+      'allow-presentation',
+      'allow-same-origin',
+      'allow-scripts',
+      'allow-storage-access-by-user-activation',
+      'allow-top-navigation',
+      'allow-top-navigation-by-user-activation',
+      'allow-top-navigation-to-custom-protocols',
+    ],
+  },
+  'report-uri': { kind: 'uri-list' },
+  'report-to': { kind: 'token' },
+  'upgrade-insecure-requests': { kind: 'none' },
+  'require-trusted-types-for': { kind: 'tokens', tokens: ["'script'"] },
+  'trusted-types': { kind: 'trusted-types' },
+  'fenced-frame-src': { kind: 'source-list', experimental: true },
+  webrtc: {
+    kind: 'tokens',
+    tokens: ["'allow'", "'block'"],
+    experimental: true,
+  },
+  'block-all-mixed-content': { kind: 'none', deprecated: true },
+  'plugin-types': { kind: 'uri-list', deprecated: true },
+  'prefetch-src': { kind: 'source-list', deprecated: true },
+  'navigate-to': { kind: 'source-list', deprecated: true },
+  referrer: { kind: 'token', deprecated: true },
+  'reflected-xss': { kind: 'token', deprecated: true },
+  'require-sri-for': {
+    kind: 'tokens',
+    tokens: ['script', 'style'],
+    deprecated: true,
+  },
+  'disown-opener': { kind: 'none', deprecated: true },
+};
+
+/**
+ * The directives each directive falls back to when it hasn't been defined, in order of precedence
+ * https://www.w3.org/TR/CSP3/#directive-fallback-list
+ */
+const fallbacks = {
+  'script-src': ['default-src'],
+  'script-src-elem': ['script-src', 'default-src'],
+  'script-src-attr': ['script-src', 'default-src'],
+  'style-src': ['default-src'],
+  'style-src-elem': ['style-src', 'default-src'],
+  'style-src-attr': ['style-src', 'default-src'],
+  'object-src': ['default-src'],
+  'child-src': ['default-src'],
+  'connect-src': ['default-src'],
+  'font-src': ['default-src'],
+  'frame-src': ['child-src', 'default-src'],
+  'img-src': ['default-src'],
+  'manifest-src': ['default-src'],
+  'media-src': ['default-src'],
+  'worker-src': ['child-src', 'script-src', 'default-src'],
+};
+
+/**
+ * Directives which browsers ignore when the policy is delivered in a meta tag
+ * https://www.w3.org/TR/CSP3/#meta-element
+ */
+const headerOnlyDirectives = [
+  'frame-ancestors',
+  'report-uri',
+  'report-to',
+  'sandbox',
+];
+
+/**
+ * Removes the header-only directives from a built policy, leaving the policy which can be delivered in a meta tag
+ * @param {string} builtPolicy - the built policy
+ * @return {string}
+ */
+const toMetaPolicy = (builtPolicy) =>
+  builtPolicy
+    .split(';')
+    .map((directive) => directive.trim())
+    .filter(
+      (directive) =>
+        directive &&
+        !headerOnlyDirectives.includes(directive.split(/\s+/)[0].toLowerCase())
+    )
+    .join('; ');
+
+/**
+ * Finds the directive which is actually in effect for a directive, following the fallback list when it isn't defined
+ * @param {object} policyObj - the policy object
+ * @param {string} directive - the directive we want to find
+ * @return {string|undefined} - the name of the directive in effect, or undefined if nothing restricts it
+ */
+const getEffectiveDirective = (policyObj, directive) =>
+  [directive, ...(fallbacks[directive] || [])].find(
+    (name) => policyObj[name] !== undefined && policyObj[name] !== null
+  );
+
+/**
+ * Splits the value of a directive into its sources, whether it was defined as a string or an array
+ * @param {string|string[]} value - the value of the directive
+ * @return {string[]}
+ */
+const splitSources = (value) =>
+  compact(
+    flatten([value])
+      .map((source) => (source ? `${source}` : ''))
+      .join(' ')
+      .split(/\s+/)
+  );
+
+/**
+ * Adds sources to a directive in the policy object, returning a new policy object
+ * If the directive isn't defined, it's created from the directive it falls back to so that we don't restrict it any further.
+ * If nothing restricts the directive there's no need to add the sources at all.
+ * @param {object} policyObj - the policy object
+ * @param {string} directive - the directive to add the sources to
+ * @param {string[]} sources - the sources to add
+ * @return {object}
+ */
+const addSources = (policyObj, directive, sources) => {
+  const effectiveDirective = getEffectiveDirective(policyObj, directive);
+  if (!sources.length || !effectiveDirective) {
+    return policyObj;
+  }
+
+  // 'none' can't be combined with any other source, and the keywords, hashes and nonces of a script or style directive
+  // mean nothing in the other directives which fall back to it, e.g. worker-src
+  const copyAll =
+    effectiveDirective === directive || /^(script|style)-src/.test(directive);
+  const existing = splitSources(policyObj[effectiveDirective]).filter(
+    (source) =>
+      source !== "'none'" &&
+      (copyAll || !source.startsWith("'") || source === "'self'")
+  );
+
+  return { ...policyObj, [directive]: existing.concat(sources) };
+};
+
+/**
+ * Adds the hashes and nonces we have generated into a policy object
+ * @param {object} policyObj - the policy object
+ * @param {object} sources - a <string, string[]> object of directive names to the sources to add to them
+ * @return {object} - a new policy object including the sources
+ */
+const addPolicySources = (policyObj, sources) =>
+  Object.keys(sources).reduce(
+    (obj, directive) => addSources(obj, directive, sources[directive]),
+    policyObj
+  );
+
+/**
+ * Checks whether hashes or nonces are enabled for a directive
+ * The -elem and -attr variants of a directive use the setting of the directive they fall back to, unless they have their own
+ * @param {object} enabled - the hashEnabled or nonceEnabled settings
+ * @param {string} directive - the directive name
+ * @return {boolean}
+ */
+const isSourceEnabled = (enabled, directive) => {
+  const setting = isNil(enabled[directive])
+    ? enabled[directive.replace(/-(elem|attr)$/, '')]
+    : enabled[directive];
+  return setting !== false;
+};
+
+/**
+ * Checks whether hashes or nonces are needed for the elements of a policy, i.e. they are enabled for it or its -elem variant
+ * @param {object} enabled - the hashEnabled or nonceEnabled settings
+ * @param {string} policyName - one of 'script-src' and 'style-src'
+ * @return {boolean}
+ */
+const isElementSourceEnabled = (enabled, policyName) =>
+  [policyName, `${policyName}-elem`].some((directive) =>
+    isSourceEnabled(enabled, directive)
+  );
+
+/**
+ * The ways a directive can be combined with the same directive from the policy it is layered on top of
+ * - replace: the sources replace the existing sources
+ * - append: the sources are added to the existing sources
+ * - remove: the sources are removed from the existing sources
+ */
+const mergeStrategies = ['replace', 'append', 'remove'];
+
+/**
+ * Makes sure every directive has a merge strategy we know about
+ * @param {object} mergeStrategy - the merge strategy of each directive
+ */
+const validateMergeStrategy = (mergeStrategy) => {
+  Object.keys(mergeStrategy).forEach((directive) => {
+    if (!mergeStrategies.includes(mergeStrategy[directive])) {
+      throw new Error(
+        `'${mergeStrategy[directive]}' is not a valid merge strategy`
+      );
+    }
+  });
+};
+
+/**
+ * Layers a policy on top of another, using the merge strategy of each directive (replace by default)
+ * A directive set to null is kept as null regardless of the strategy, so it can be removed from the final policy.
+ * @param {object} basePolicy - the policy being layered on top of
+ * @param {object} policy - the policy to layer on top
+ * @param {object} mergeStrategy - the merge strategy of each directive
+ * @return {object}
+ */
+const mergePolicies = (basePolicy, policy, mergeStrategy = {}) =>
+  Object.keys(policy).reduce((merged, directive) => {
+    const strategy = mergeStrategy[directive] || 'replace';
+    const value = policy[directive];
+    const existing = merged[directive];
+
+    if (strategy === 'replace' || isNil(value) || isNil(existing)) {
+      // there's nothing to remove the sources from
+      return strategy === 'remove' && !isNil(value)
+        ? merged
+        : { ...merged, [directive]: value };
+    }
+
+    if (strategy === 'append') {
+      return {
+        ...merged,
+        [directive]: uniq(splitSources(existing).concat(splitSources(value))),
+      };
+    }
+
+    // an empty source list is the same as 'none', so make that explicit
+    const remaining = splitSources(existing).filter(
+      (source) => !splitSources(value).includes(source)
+    );
+    return {
+      ...merged,
+      [directive]: remaining.length ? remaining : ["'none'"],
+    };
+  }, basePolicy);
+
+module.exports = {
+  directives,
+  fallbacks,
+  headerOnlyDirectives,
+  toMetaPolicy,
+  mergeStrategies,
+  getEffectiveDirective,
+  addSources,
+  addPolicySources,
+  isSourceEnabled,
+  isElementSourceEnabled,
+  splitSources,
+  validateMergeStrategy,
+  mergePolicies,
+};
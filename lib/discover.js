@@ -0,0 +1,413 @@
+const uniq = require('lodash/uniq');
+const { getPageChunks, getChunkModules } = require('./chunks');
+const {
+  addSources,
+  getEffectiveDirective,
+  splitSources,
+} = require('./directives');
+const { urlMatchesSource } = require('./match');
+
+/**
+ * The elements which load from a url, and the directive which governs each of them
+ * - srcset holds a list of candidates, each a url followed by a descriptor
+ * <link rel="preconnect"> isn't restricted by CSP, and what is later loaded from the origin could need any directive, so it isn't used.
+ */
+const htmlRules = [
+  { selector: 'img[src]', attribute: 'src', directive: 'img-src' },
+  {
+    selector: 'img[srcset], picture source[srcset]',
+    attribute: 'srcset',
+    directive: 'img-src',
+    srcset: true,
+  },
+  { selector: 'video[poster]', attribute: 'poster', directive: 'img-src' },
+  {
+    selector: 'link[rel~="icon"][href], link[rel~="apple-touch-icon"][href]',
+    attribute: 'href',
+    directive: 'img-src',
+  },
+  {
+    selector:
+      'video[src], audio[src], video source[src], audio source[src], track[src]',
+    attribute: 'src',
+    directive: 'media-src',
+  },
+  { selector: 'iframe[src]', attribute: 'src', directive: 'frame-src' },
+  {
+    selector: 'link[rel~="manifest"][href]',
+    attribute: 'href',
+    directive: 'manifest-src',
+  },
+  { selector: 'form[action]', attribute: 'action', directive: 'form-action' },
+  {
+    selector: 'button[formaction], input[formaction]',
+    attribute: 'formaction',
+    directive: 'form-action',
+  },
+  { selector: 'base[href]', attribute: 'href', directive: 'base-uri' },
+];
+
+// the schemes which are allowed as a whole in stylesheets, since their urls don't have an origin
+const schemeSources = ['data:', 'blob:'];
+
+const autoDiscoverOptions = ['html', 'css', 'connect'];
+
+/**
+ * The globals application code connects through, and the argument holding the url
+ * XMLHttpRequest is handled separately, since its url is given to open() on an instance.
+ */
+const connectCalls = {
+  fetch: 0,
+  'window.fetch': 0,
+  'self.fetch': 0,
+  'globalThis.fetch': 0,
+  'navigator.sendBeacon': 0,
+};
+const connectConstructors = ['WebSocket', 'EventSource'];
+
+// the tag of variables holding an XMLHttpRequest, so calls to their open() can be found
+const xhrTag = Symbol('csp XMLHttpRequest');
+
+/**
+ * Normalizes the autoDiscover option into which kinds of discovery are enabled
+ * true enables everything, while an object enables the kinds given
+ * connect can also be 'suggest', to only warn about the origins found in the code rather than adding them.
+ * @param {boolean|object} autoDiscover - the autoDiscover option
+ * @return {object} - a <string, boolean|string> object of each kind of discovery
+ */
+const normalizeAutoDiscover = (autoDiscover) => {
+  if (autoDiscover === true || !autoDiscover) {
+    return autoDiscoverOptions.reduce(
+      (obj, kind) => ({ ...obj, [kind]: Boolean(autoDiscover) }),
+      {}
+    );
+  }
+
+  Object.keys(autoDiscover).forEach((kind) => {
+    if (!autoDiscoverOptions.includes(kind)) {
+      throw new Error(`'${kind}' is not a valid autoDiscover option`);
+    }
+  });
+  if (![undefined, true, false, 'suggest'].includes(autoDiscover.connect)) {
+    throw new Error(
+      `'${autoDiscover.connect}' is not a valid autoDiscover connect mode`
+    );
+  }
+  return autoDiscoverOptions.reduce(
+    (obj, kind) => ({
+      ...obj,
+      [kind]:
+        autoDiscover[kind] === 'suggest'
+          ? 'suggest'
+          : Boolean(autoDiscover[kind]),
+    }),
+    {}
+  );
+};
+
+/**
+ * Gets the origin of an absolute url, which is the source that allows it
+ * Relative urls are on the same origin as the page, so they are left to 'self'.
+ * @param {string} value - the url
+ * @param {boolean} [websocket] - whether ws(s) urls are allowed too
+ * @return {string|null} - null if the url isn't an absolute http(s) url
+ */
+const getOrigin = (value, websocket = false) => {
+  const trimmed = `${value || ''}`.trim();
+  const schemes = websocket ? '(https?|wss?)' : 'https?';
+  if (!new RegExp(`^(${schemes}:)?//`, 'i').test(trimmed)) {
+    return null;
+  }
+
+  try {
+    // protocol relative urls are assumed to be served over https
+    return new URL(trimmed, 'https://localhost').origin;
+  } catch (e) {
+    return null;
+  }
+};
+
+/**
+ * Finds the external origins the html loads from, along with the directive each needs to be added to
+ * @param {object} $ - the Cheerio instance
+ * @return {Array<{directive: string, source: string, element: object}>}
+ */
+const discoverHtmlSources = ($) =>
+  htmlRules.reduce(
+    (discovered, { selector, attribute, directive, srcset }) => [
+      ...discovered,
+      ...$(selector)
+        .map((i, element) => {
+          const value = $(element).attr(attribute);
+          const urls = srcset
+            ? value
+                .split(',')
+                .map((candidate) => candidate.trim().split(/\s+/)[0])
+            : [value];
+
+          return urls
+            .map((url) => ({ url, source: getOrigin(url) }))
+            .filter(({ source }) => source)
+            .map(({ url, source }) => ({
+              directive,
+              source,
+              element: { tagName: element.tagName, attribute, url },
+            }));
+        })
+        .get(),
+    ],
+    []
+  );
+
+/**
+ * Finds the stylesheets a page loads, through its chunks
+ * Async chunks are included too, since mini-css-extract-plugin adds their stylesheets to the page once they're loaded.
+ * @param {object} compilation - the webpack compilation object
+ * @param {object} htmlPluginOptions - the options of the HtmlWebpackPlugin instance
+ * @return {string[]} - the filenames of the stylesheets
+ */
+const getPageStylesheets = (compilation, htmlPluginOptions) => {
+  const files = getPageChunks(compilation, htmlPluginOptions).reduce(
+    (pageFiles, chunk) => [...pageFiles, ...Array.from(chunk.files)],
+    []
+  );
+
+  return [...new Set(files)].filter((file) => /\.css($|\?)/.test(file));
+};
+
+/**
+ * Finds the external origins and schemes a stylesheet loads from
+ * - url() in a @font-face rule is a font
+ * - @import loads another stylesheet
+ * - any other url() is treated as an image, which covers backgrounds, masks, cursors and list markers
+ * Relative urls are on the same origin as the stylesheet, so they are left to 'self'.
+ * @param {string} css - the contents of the stylesheet
+ * @param {string} filename - the filename of the stylesheet, which is recorded with each source
+ * @return {Array<{directive: string, source: string, stylesheet: object}>}
+ */
+const discoverCssSources = (css, filename) => {
+  const discovered = [];
+  const add = (directive, url) => {
+    const scheme = `${url.match(/^[a-z][a-z0-9+.-]*:/i) || ''}`.toLowerCase();
+    const source = schemeSources.includes(scheme) ? scheme : getOrigin(url);
+    if (source) {
+      discovered.push({
+        directive,
+        source,
+        // data: urls can be huge, so only keep the start of them
+        stylesheet: { filename, url: url.slice(0, 50) },
+      });
+    }
+  };
+  const urlRegex = /url\(\s*(?:"([^"]*)"|'([^']*)'|([^)'"\s]*))\s*\)/gi;
+  const getUrls = (str) =>
+    Array.from(str.matchAll(urlRegex)).map(
+      ([, double, single, unquoted]) => double || single || unquoted || ''
+    );
+
+  // comments could hide or fake any of the rules
+  let rest = css.replace(/\/\*[\s\S]*?\*\//g, '');
+
+  rest = rest.replace(
+    /@import\s+(?:url\(\s*)?(?:"([^"]*)"|'([^']*)'|([^)'"\s;]+))[^;]*;?/gi,
+    (match, double, single, unquoted) => {
+      add('style-src', double || single || unquoted);
+      return '';
+    }
+  );
+
+  rest = rest.replace(/@font-face\s*{[^}]*}/gi, (match) => {
+    getUrls(match).forEach((url) => add('font-src', url));
+    return '';
+  });
+
+  getUrls(rest).forEach((url) => add('img-src', url));
+
+  return discovered;
+};
+
+/**
+ * Finds the external origins and schemes loaded by the stylesheets webpack emitted for a page
+ * @param {object} compilation - the webpack compilation object
+ * @param {object} htmlPluginOptions - the options of the HtmlWebpackPlugin instance
+ * @return {Array<{directive: string, source: string, stylesheet: object}>}
+ */
+const discoverStylesheetSources = (compilation, htmlPluginOptions) =>
+  getPageStylesheets(compilation, htmlPluginOptions).reduce(
+    (discovered, filename) => {
+      const asset = compilation.getAsset(filename);
+      return asset
+        ? [
+            ...discovered,
+            ...discoverCssSources(asset.source.source().toString(), filename),
+          ]
+        : discovered;
+    },
+    []
+  );
+
+/**
+ * Works out the url an expression in the code holds, as far as webpack can evaluate it
+ * Literals, constants from DefinePlugin and strings built from them are resolved, and a url which is only partly known
+ * (e.g. `${API_URL}/users/${id}`) resolves to the known start of it, which holds the origin.
+ * @param {object} parser - the webpack JavascriptParser
+ * @param {object} expression - the expression
+ * @return {string|null}
+ */
+const evaluateUrl = (parser, expression) => {
+  if (!expression || expression.type === 'SpreadElement') {
+    return null;
+  }
+
+  const evaluated = parser.evaluateExpression(expression);
+  const value = evaluated.asString();
+  if (typeof value === 'string') {
+    return value;
+  }
+  if (evaluated.isWrapped() && evaluated.prefix) {
+    const prefix = evaluated.prefix.asString();
+    return typeof prefix === 'string' ? prefix : null;
+  }
+  return null;
+};
+
+/**
+ * Records a url the module being parsed connects to, on its buildInfo so it's cached with it
+ * @param {object} parser - the webpack JavascriptParser
+ * @param {string} api - what the url is used with, e.g. fetch
+ * @param {object} expression - the expression holding the url
+ */
+const recordConnectUrl = (parser, api, expression) => {
+  const { module } = parser.state;
+  const url = evaluateUrl(parser, expression);
+  if (!module || !module.buildInfo || !getOrigin(url, true)) {
+    return;
+  }
+  module.buildInfo.cspConnectUrls = uniq([
+    ...(module.buildInfo.cspConnectUrls || []),
+    `${api} ${url}`,
+  ]);
+};
+
+/**
+ * Taps webpack's JavaScript parser to find the urls passed to fetch, XMLHttpRequest.open, WebSocket, EventSource and
+ * navigator.sendBeacon
+ * @param {object} parser - the webpack JavascriptParser
+ * @param {string} pluginName - the name to tap the hooks with
+ */
+const tapConnectUrls = (parser, pluginName) => {
+  Object.keys(connectCalls).forEach((name) =>
+    parser.hooks.call.for(name).tap(pluginName, (expression) => {
+      recordConnectUrl(parser, name, expression.arguments[connectCalls[name]]);
+    })
+  );
+
+  connectConstructors.forEach((name) =>
+    parser.hooks.new.for(name).tap(pluginName, (expression) => {
+      recordConnectUrl(parser, name, expression.arguments[0]);
+    })
+  );
+
+  // const xhr = new XMLHttpRequest(); xhr.open('GET', url);
+  parser.hooks.preDeclarator.tap(pluginName, (declarator) => {
+    const { id, init } = declarator;
+    if (
+      id.type === 'Identifier' &&
+      init &&
+      init.type === 'NewExpression' &&
+      init.callee.type === 'Identifier' &&
+      init.callee.name === 'XMLHttpRequest'
+    ) {
+      parser.tagVariable(id.name, xhrTag);
+      return true;
+    }
+    return undefined;
+  });
+  parser.hooks.callMemberChain
+    .for(xhrTag)
+    .tap(pluginName, (expression, members) => {
+      if (members.length === 1 && members[0] === 'open') {
+        recordConnectUrl(parser, 'XMLHttpRequest', expression.arguments[1]);
+      }
+    });
+};
+
+/**
+ * Finds the origins the modules of a page's chunks connect to, from the urls recorded while they were parsed
+ * @param {object} compilation - the webpack compilation object
+ * @param {object} htmlPluginOptions - the options of the HtmlWebpackPlugin instance
+ * @return {Array<{directive: string, source: string, module: object}>}
+ */
+const discoverConnectSources = (compilation, htmlPluginOptions) =>
+  getChunkModules(
+    compilation,
+    getPageChunks(compilation, htmlPluginOptions)
+  ).reduce((discovered, module) => {
+    const name = module.readableIdentifier(compilation.requestShortener);
+    return [
+      ...discovered,
+      ...((module.buildInfo && module.buildInfo.cspConnectUrls) || []).map(
+        (recorded) => {
+          const [api, url] = recorded.split(/ (.*)/);
+          return {
+            directive: 'connect-src',
+            source: getOrigin(url, true),
+            module: { name, api, url },
+          };
+        }
+      ),
+    ];
+  }, []);
+
+/**
+ * Adds the origins discovered in the page to a policy object, unless the directive in effect already allows them
+ * Nothing is added to a directive which nothing restricts, e.g. form-action when it isn't defined.
+ * @param {object} policyObj - the policy object
+ * @param {object[]} discovered - a list of { directive, source, element|stylesheet|module|worker } objects, from
+ * discoverHtmlSources, discoverCssSources, discoverConnectSources and getWorkerSources
+ * @param {object[]} [added] - the discovered sources which were added get pushed onto this
+ * @return {object} - a new policy object including the sources
+ */
+const addDiscoveredSources = (policyObj, discovered, added = []) => {
+  // the page origin isn't known at build time, so 'self' can't match an external origin
+  const self = new URL('https://localhost/');
+
+  return discovered.reduce((obj, entry) => {
+    const directive = getEffectiveDirective(obj, entry.directive);
+    if (
+      !directive ||
+      splitSources(obj[directive]).some((source) =>
+        urlMatchesSource(
+          source,
+          new URL(
+            (
+              entry.element ||
+              entry.stylesheet ||
+              entry.module ||
+              entry.worker
+            ).url,
+            self
+          ),
+          self
+        )
+      )
+    ) {
+      return obj;
+    }
+
+    added.push(entry);
+    return addSources(obj, entry.directive, [entry.source]);
+  }, policyObj);
+};
+
+module.exports = {
+  normalizeAutoDiscover,
+  getOrigin,
+  discoverHtmlSources,
+  getPageStylesheets,
+  discoverCssSources,
+  discoverStylesheetSources,
+  tapConnectUrls,
+  discoverConnectSources,
+  addDiscoveredSources,
+};
@@ -0,0 +1,214 @@
+const get = require('lodash/get');
+const uniq = require('lodash/uniq');
+const { getEffectiveDirective, splitSources } = require('./directives');
+const { getPageChunks, getChunkModules } = require('./chunks');
+
+// the globals eval can be called through
+const evalCalls = ['eval', 'window.eval', 'self.eval', 'globalThis.eval'];
+
+// timers evaluate their first argument when it's a string rather than a function
+const timerCalls = [
+  'setTimeout',
+  'setInterval',
+  'window.setTimeout',
+  'window.setInterval',
+];
+
+// compiling WebAssembly from bytes needs 'wasm-unsafe-eval' (or 'unsafe-eval')
+const wasmCalls = [
+  'WebAssembly.compile',
+  'WebAssembly.compileStreaming',
+  'WebAssembly.instantiate',
+  'WebAssembly.instantiateStreaming',
+];
+
+/**
+ * The source each kind of usage needs in script-src
+ * https://www.w3.org/TR/CSP3/#can-compile-strings
+ * https://webassembly.github.io/content-security-policy/document/
+ */
+const evalSources = {
+  eval: "'unsafe-eval'",
+  wasm: "'wasm-unsafe-eval'",
+};
+
+/**
+ * Records the usages of eval and the like in the module being parsed, on its buildInfo so they are cached with it
+ * @param {object} parser - the webpack JavascriptParser
+ * @param {string} kind - eval or wasm
+ * @param {string} usage - what the module uses, e.g. new Function
+ */
+const recordUsage = (parser, kind, usage) => {
+  const { module } = parser.state;
+  if (!module || !module.buildInfo) {
+    return;
+  }
+  module.buildInfo.cspEvalUsages = uniq([
+    ...(module.buildInfo.cspEvalUsages || []),
+    `${kind}:${usage}`,
+  ]);
+};
+
+/**
+ * Taps webpack's JavaScript parser to find the modules which use eval, new Function, string timers or compile WebAssembly
+ * @param {object} parser - the webpack JavascriptParser
+ * @param {string} pluginName - the name to tap the hooks with
+ */
+const tapEvalUsages = (parser, pluginName) => {
+  evalCalls.forEach((name) =>
+    parser.hooks.call.for(name).tap(pluginName, () => {
+      recordUsage(parser, 'eval', 'eval');
+    })
+  );
+
+  parser.hooks.new.for('Function').tap(pluginName, () => {
+    recordUsage(parser, 'eval', 'new Function');
+  });
+  parser.hooks.call.for('Function').tap(pluginName, () => {
+    recordUsage(parser, 'eval', 'Function');
+  });
+
+  timerCalls.forEach((name) =>
+    parser.hooks.call.for(name).tap(pluginName, (expression) => {
+      const [handler] = expression.arguments;
+      if (handler && parser.evaluateExpression(handler).isString()) {
+        recordUsage(parser, 'eval', `${name} with a string`);
+      }
+    })
+  );
+
+  wasmCalls.forEach((name) =>
+    parser.hooks.call.for(name).tap(pluginName, () => {
+      recordUsage(parser, 'wasm', name);
+    })
+  );
+  parser.hooks.new.for('WebAssembly.Module').tap(pluginName, () => {
+    recordUsage(parser, 'wasm', 'new WebAssembly.Module');
+  });
+};
+
+/**
+ * Finds the usages of eval and the like in the modules of a page's chunks
+ * An eval devtool wraps every module in eval, and webpack compiles WebAssembly modules in the browser, so they count too.
+ * @param {object} compilation - the webpack compilation object
+ * @param {object[]} chunks - the chunks of the page
+ * @return {Array<{kind: string, usage: string, module: string}>}
+ */
+const getEvalUsages = (compilation, chunks) => {
+  const usages = [];
+  const { devtool } = compilation.options;
+  if (typeof devtool === 'string' && devtool.includes('eval')) {
+    usages.push({
+      kind: 'eval',
+      usage: 'eval',
+      module: `the '${devtool}' devtool`,
+    });
+  }
+
+  getChunkModules(compilation, chunks).forEach((module) => {
+    const name = module.readableIdentifier(compilation.requestShortener);
+    if (`${module.type}`.startsWith('webassembly')) {
+      usages.push({ kind: 'wasm', usage: 'WebAssembly', module: name });
+    }
+    ((module.buildInfo && module.buildInfo.cspEvalUsages) || []).forEach(
+      (recorded) => {
+        const [kind, usage] = recorded.split(/:(.*)/);
+        usages.push({ kind, usage, module: name });
+      }
+    );
+  });
+
+  return usages;
+};
+
+/**
+ * Checks the usages of eval and the like against the script-src in effect for a page
+ * @param {object} policyObj - the policy object
+ * @param {object[]} usages - from getEvalUsages
+ * @return {{directive: string|undefined, missing: object[], unused: string[]}} - the usages the policy doesn't allow,
+ * and the sources the policy allows which nothing uses
+ */
+const checkEvalUsages = (policyObj, usages) => {
+  const directive = getEffectiveDirective(policyObj, 'script-src');
+  if (!directive) {
+    return { directive, missing: [], unused: [] };
+  }
+
+  const sources = splitSources(policyObj[directive]);
+  const allows = (kind) =>
+    sources.includes(evalSources.eval) ||
+    (kind === 'wasm' && sources.includes(evalSources.wasm));
+  const uses = (kind) => usages.some((usage) => usage.kind === kind);
+
+  return {
+    directive,
+    missing: usages.filter(({ kind }) => !allows(kind)),
+    unused: Object.keys(evalSources)
+      .filter((kind) => sources.includes(evalSources[kind]) && !uses(kind))
+      .map((kind) => evalSources[kind]),
+  };
+};
+
+/**
+ * Describes usages for a message, e.g. eval in ./src/index.js, new Function in ./node_modules/lib/index.js
+ * @param {object[]} usages
+ * @return {string}
+ */
+const describeUsages = (usages) =>
+  uniq(usages.map(({ usage, module }) => `${usage} in ${module}`)).join(', ');
+
+/**
+ * Checks the eval, new Function, string timers and WebAssembly compilation in a page's chunks against its policy
+ * It's an error when the policy doesn't allow something the code needs, and a warning when it allows what nothing needs.
+ * @param {object} compilation - the webpack compilation object
+ * @param {object} htmlPluginData - the HtmlWebpackPlugin data object
+ * @param {object} policyObj - the final policy object of the page
+ */
+const checkEval = (compilation, htmlPluginData, policyObj) => {
+  const usages = getEvalUsages(
+    compilation,
+    getPageChunks(compilation, get(htmlPluginData, 'plugin.options', {}))
+  );
+  const { directive, missing, unused } = checkEvalUsages(policyObj, usages);
+
+  Object.keys(evalSources).forEach((kind) => {
+    const needed = missing.filter((usage) => usage.kind === kind);
+    if (needed.length) {
+      compilation.errors.push(
+        new Error(
+          `CSP: ${directive} in the policy for ${
+            htmlPluginData.outputName
+          } doesn't allow ${
+            evalSources[kind]
+          }, which is needed by ${describeUsages(needed)}`
+        )
+      );
+    }
+  });
+
+  unused.forEach((source) => {
+    // 'unsafe-eval' also allows WebAssembly, so when that's all that uses it the narrower source will do
+    const replaceable =
+      source === evalSources.eval &&
+      usages.length &&
+      !splitSources(policyObj[directive]).includes(evalSources.wasm);
+    compilation.warnings.push(
+      new Error(
+        `CSP: ${directive} in the policy for ${
+          htmlPluginData.outputName
+        } allows ${source}, but nothing in its chunks needs it, so it can be ${
+          replaceable ? `replaced with ${evalSources.wasm}` : 'removed'
+        }`
+      )
+    );
+  });
+};
+
+module.exports = {
+  evalSources,
+  tapEvalUsages,
+  getEvalUsages,
+  checkEvalUsages,
+  describeUsages,
+  checkEval,
+};
@@ -0,0 +1,132 @@
+/**
+ * The sources needed by common third party services, so they don't have to be researched for every app
+ * Each integration has the date its sources were last checked against the documentation of the service,
+ * which is bumped whenever its sources change.
+ */
+const integrations = {
+  'google-analytics': {
+    version: '2024-06',
+    docs: 'https://developers.google.com/tag-platform/security/guides/csp',
+    policy: {
+      'script-src': 'https://*.googletagmanager.com',
+      'connect-src': [
+        'https://*.google-analytics.com',
+        'https://*.analytics.google.com',
+        'https://*.googletagmanager.com',
+      ],
+      'img-src': [
+        'https://*.google-analytics.com',
+        'https://*.googletagmanager.com',
+      ],
+    },
+  },
+  'google-tag-manager': {
+    version: '2024-06',
+    docs: 'https://developers.google.com/tag-platform/security/guides/csp',
+    policy: {
+      'script-src': 'https://www.googletagmanager.com',
+      'connect-src': 'https://www.googletagmanager.com',
+      'img-src': 'https://www.googletagmanager.com',
+      'frame-src': 'https://www.googletagmanager.com',
+    },
+  },
+  stripe: {
+    version: '2024-06',
+    docs: 'https://docs.stripe.com/security/guide#content-security-policy',
+    policy: {
+      'script-src': ['https://js.stripe.com', 'https://*.js.stripe.com'],
+      'connect-src': ['https://api.stripe.com', 'https://maps.googleapis.com'],
+      'frame-src': [
+        'https://js.stripe.com',
+        'https://*.js.stripe.com',
+        'https://hooks.stripe.com',
+      ],
+      'img-src': 'https://*.stripe.com',
+    },
+  },
+  sentry: {
+    version: '2024-06',
+    docs: 'https://docs.sentry.io/platforms/javascript/install/loader/#content-security-policy',
+    policy: {
+      'script-src': [
+        'https://browser.sentry-cdn.com',
+        'https://js.sentry-cdn.com',
+      ],
+      'connect-src': 'https://*.sentry.io',
+    },
+  },
+  'google-fonts': {
+    version: '2024-06',
+    docs: 'https://developers.google.com/fonts/docs/getting_started',
+    policy: {
+      'style-src': 'https://fonts.googleapis.com',
+      'font-src': 'https://fonts.gstatic.com',
+    },
+  },
+  youtube: {
+    version: '2024-06',
+    docs: 'https://developers.google.com/youtube/iframe_api_reference',
+    policy: {
+      // the IFrame API script loads the player's widget script from /s/player/
+      'script-src': [
+        'https://www.youtube.com/iframe_api',
+        'https://www.youtube.com/s/player/',
+      ],
+      'frame-src': [
+        'https://www.youtube.com',
+        'https://www.youtube-nocookie.com',
+      ],
+      'img-src': 'https://i.ytimg.com',
+    },
+  },
+  recaptcha: {
+    version: '2024-06',
+    docs: 'https://developers.google.com/recaptcha/docs/faq#im-using-content-security-policy-csp-on-my-website.-how-can-i-configure-it-to-work-with-recaptcha',
+    policy: {
+      'script-src': [
+        'https://www.google.com/recaptcha/',
+        'https://www.gstatic.com/recaptcha/',
+      ],
+      'frame-src': [
+        'https://www.google.com/recaptcha/',
+        'https://recaptcha.google.com/recaptcha/',
+      ],
+    },
+  },
+};
+
+/**
+ * Makes sure every integration pack defined by the user has a policy to add
+ * @param {object} packs - the integration packs, keyed by name
+ */
+const validateIntegrationPacks = (packs) => {
+  Object.keys(packs).forEach((name) => {
+    const { policy } = packs[name] || {};
+    if (!policy || typeof policy !== 'object') {
+      throw new Error(`'${name}' is not a valid integration pack`);
+    }
+  });
+};
+
+/**
+ * Finds the integration packs for the given names
+ * @param {string[]} names - the integrations to use
+ * @param {object} packs - the integration packs defined by the user, which take precedence over ours
+ * @return {object[]}
+ */
+const getIntegrations = (names, packs = {}) => {
+  const catalogue = { ...integrations, ...packs };
+
+  return names.map((name) => {
+    if (!Object.prototype.hasOwnProperty.call(catalogue, name)) {
+      throw new Error(`'${name}' is not a valid integration`);
+    }
+    return catalogue[name];
+  });
+};
+
+module.exports = {
+  integrations,
+  validateIntegrationPacks,
+  getIntegrations,
+};
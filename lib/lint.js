@@ -0,0 +1,246 @@
+const flatten = require('lodash/flatten');
+const {
+  directives,
+  getEffectiveDirective,
+  splitSources,
+} = require('./directives');
+
+const lintLevels = ['off', 'warn', 'error'];
+
+/**
+ * Hosts which serve JSONP endpoints or old versions of AngularJS, which can be used to bypass a host based script-src
+ * https://github.com/google/csp-evaluator/blob/master/allowlist_bypasses/json/jsonp.json
+ */
+const bypassHosts = [
+  'www.google.com',
+  'www.google-analytics.com',
+  'www.googletagmanager.com',
+  'ajax.googleapis.com',
+  'www.googleapis.com',
+  'maps.googleapis.com',
+  'accounts.google.com',
+  'www.gstatic.com',
+  'translate.googleapis.com',
+  'www.youtube.com',
+  'cdnjs.cloudflare.com',
+  'cdn.jsdelivr.net',
+  'unpkg.com',
+  'code.angularjs.org',
+  'yandex.st',
+  'api.twitter.com',
+  'connect.facebook.net',
+  'graph.facebook.com',
+  'api.vk.com',
+  'suggest.yandex.ru',
+  'api.mixpanel.com',
+];
+
+// sources which only have a meaning in script-src
+const scriptOnlySources = [
+  "'unsafe-eval'",
+  "'wasm-unsafe-eval'",
+  "'strict-dynamic'",
+];
+
+// sources which only have a meaning in script-src and style-src
+const inlineSourceRegex =
+  /^'(unsafe-inline|unsafe-hashes|report-sample|nonce-.*|sha(256|384|512)-.*)'$/;
+
+/**
+ * Gets the sources of a directive in the policy
+ * @param {object} policyObj - the policy object
+ * @param {string} directive - the directive name
+ * @return {string[]}
+ */
+const getSources = (policyObj, directive) => splitSources(policyObj[directive]);
+
+/**
+ * Gets the host of a host source expression, without its scheme, port and path
+ * @param {string} source - e.g. https://ajax.googleapis.com/ajax/libs/
+ * @return {string|null} - null if the source isn't a host source
+ */
+const getHost = (source) => {
+  if (source.startsWith("'") || /^[a-zA-Z][a-zA-Z0-9+.-]*:$/.test(source)) {
+    return null;
+  }
+  return source
+    .replace(/^[a-zA-Z][a-zA-Z0-9+.-]*:\/\//, '')
+    .replace(/[:/].*$/, '')
+    .toLowerCase();
+};
+
+/**
+ * The lint rules, each of which returns a message for every problem found in the policy
+ * Messages are about the directive actually in effect, so a script-src falling back to default-src is reported as default-src.
+ */
+const lintRules = {
+  'script-src-wildcard': (policyObj) => {
+    const directive = getEffectiveDirective(policyObj, 'script-src');
+    return directive && getSources(policyObj, directive).includes('*')
+      ? [`${directive} allows scripts to be loaded from any host with *`]
+      : [];
+  },
+
+  'script-src-scheme': (policyObj) => {
+    const directive = getEffectiveDirective(policyObj, 'script-src');
+    if (!directive) {
+      return [];
+    }
+
+    // browsers supporting 'strict-dynamic' ignore http: and https:, so they are only a fallback for older browsers
+    const sources = getSources(policyObj, directive);
+    const schemes = sources.includes("'strict-dynamic'")
+      ? ['data:']
+      : ['http:', 'https:', 'data:'];
+    return sources
+      .filter((source) => schemes.includes(source.toLowerCase()))
+      .map(
+        (source) =>
+          `${directive} allows scripts to be loaded from any url with the ${source} scheme`
+      );
+  },
+
+  'missing-object-src': (policyObj) =>
+    getEffectiveDirective(policyObj, 'object-src')
+      ? []
+      : [
+          "object-src is missing, which allows plugins to be loaded from anywhere, set it to 'none'",
+        ],
+
+  'missing-base-uri': (policyObj) =>
+    policyObj['base-uri'] === undefined || policyObj['base-uri'] === null
+      ? [
+          "base-uri is missing, which allows relative urls to be redirected by an injected base tag, set it to 'self' or 'none'",
+        ]
+      : [],
+
+  'unsafe-inline': (policyObj) => {
+    const directive = getEffectiveDirective(policyObj, 'script-src');
+    const sources = directive ? getSources(policyObj, directive) : [];
+    return sources.includes("'unsafe-inline'") &&
+      !sources.includes("'strict-dynamic'")
+      ? [
+          `${directive} contains 'unsafe-inline' without 'strict-dynamic', which allows injected inline scripts to run in browsers that don't support hashes or nonces`,
+        ]
+      : [];
+  },
+
+  'bypass-host': (policyObj, { integrationSources = {} }) => {
+    const directive = getEffectiveDirective(policyObj, 'script-src');
+    const sources = directive ? getSources(policyObj, directive) : [];
+
+    // host allowlists are ignored when 'strict-dynamic' is in effect
+    if (sources.includes("'strict-dynamic'")) {
+      return [];
+    }
+
+    return sources
+      .filter((source) => {
+        const host = getHost(source);
+        return (
+          host &&
+          bypassHosts.some(
+            (bypassHost) =>
+              bypassHost === host ||
+              (host.startsWith('*.') && bypassHost.endsWith(host.slice(1)))
+          )
+        );
+      })
+      .map((source) => {
+        // name the integrations which need the source, since it can't simply be removed from the policy
+        const names = integrationSources[source] || [];
+        const neededBy = names.length
+          ? ` (needed by the ${names.join(', ')} integration${
+              names.length > 1 ? 's' : ''
+            })`
+          : '';
+        return `${directive} allows ${source}${neededBy}, which hosts JSONP endpoints or AngularJS that can be used to bypass the policy`;
+      });
+  },
+
+  'meaningless-source': (policyObj) =>
+    flatten(
+      Object.keys(policyObj)
+        .filter(
+          (directive) =>
+            directives[directive] &&
+            directives[directive].kind === 'source-list'
+        )
+        .map((directive) => {
+          const scriptDirective =
+            directive === 'default-src' || directive.startsWith('script-src');
+          const styleDirective = directive.startsWith('style-src');
+
+          return getSources(policyObj, directive)
+            .filter(
+              (source) =>
+                (scriptOnlySources.includes(source) && !scriptDirective) ||
+                (inlineSourceRegex.test(source) &&
+                  !scriptDirective &&
+                  !styleDirective)
+            )
+            .map(
+              (source) =>
+                `${directive} contains ${source} which has no effect in ${directive}`
+            );
+        })
+    ),
+};
+
+/**
+ * Normalizes the lint option into the level of every rule
+ * true enables every rule as a warning, while an object sets the level of the rules given, with the rest as warnings
+ * @param {boolean|object} lint - the lint option
+ * @return {object|null} - the level of each rule, or null if linting is disabled
+ */
+const normalizeLint = (lint) => {
+  if (!lint) {
+    return null;
+  }
+
+  const levels = Object.keys(lintRules).reduce(
+    (obj, rule) => ({ ...obj, [rule]: 'warn' }),
+    {}
+  );
+  if (lint === true) {
+    return levels;
+  }
+
+  Object.keys(lint).forEach((rule) => {
+    if (!lintRules[rule]) {
+      throw new Error(`'${rule}' is not a valid lint rule`);
+    }
+    if (!lintLevels.includes(lint[rule])) {
+      throw new Error(`'${lint[rule]}' is not a valid lint level`);
+    }
+  });
+
+  return { ...levels, ...lint };
+};
+
+/**
+ * Runs every lint rule which isn't turned off against a policy
+ * @param {object} policyObj - the policy object
+ * @param {object} levels - the level of each rule, from normalizeLint
+ * @param {object} [context] - what the rules need to know about how the policy was built
+ * @param {object} [context.integrationSources] - a <string, string[]> object of the sources added by integrations to the integrations which need them
+ * @return {Array<{rule: string, level: string, message: string}>}
+ */
+const lintPolicy = (policyObj, levels, context = {}) =>
+  flatten(
+    Object.keys(lintRules)
+      .filter((rule) => levels[rule] !== 'off')
+      .map((rule) =>
+        lintRules[rule](policyObj, context).map((message) => ({
+          rule,
+          level: levels[rule],
+          message,
+        }))
+      )
+  );
+
+module.exports = {
+  lintRules,
+  normalizeLint,
+  lintPolicy,
+};
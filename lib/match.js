@@ -0,0 +1,107 @@
+const secureSchemes = { 'http:': 'https:', 'ws:': 'wss:' };
+
+/**
+ * Checks whether a scheme is allowed by a scheme from the policy, which also allows its secure variant
+ * @param {string} allowed - the scheme in the policy, e.g. http:
+ * @param {string} scheme - the scheme of the url
+ * @return {boolean}
+ */
+const schemeMatches = (allowed, scheme) =>
+  allowed === scheme || secureSchemes[allowed] === scheme;
+
+/**
+ * Checks whether a url is allowed by a source expression
+ * https://www.w3.org/TR/CSP3/#match-url-to-source-expression
+ * @param {string} source - the source expression
+ * @param {URL} url - the url being loaded
+ * @param {URL} self - the url of the page
+ * @return {boolean}
+ */
+const urlMatchesSource = (source, url, self) => {
+  const expression = source.toLowerCase();
+
+  if (expression === '*') {
+    return (
+      ['http:', 'https:', 'ws:', 'wss:'].includes(url.protocol) ||
+      url.protocol === self.protocol
+    );
+  }
+
+  if (expression === "'self'") {
+    return url.host === self.host && schemeMatches(self.protocol, url.protocol);
+  }
+
+  if (/^[a-z][a-z0-9+.-]*:$/.test(expression)) {
+    return schemeMatches(expression, url.protocol);
+  }
+
+  const match = expression.match(
+    /^(?:([a-z][a-z0-9+.-]*:)\/\/)?(\*|\*\.[^:/]+|[^:/*]+)(?::(\d+|\*))?(\/[^?#]*)?$/
+  );
+  if (!match) {
+    return false;
+  }
+  const [, scheme, host, port, sourcePath] = match;
+
+  // a source without a scheme allows the scheme of the page, or its secure variant
+  if (!schemeMatches(scheme || self.protocol, url.protocol)) {
+    return false;
+  }
+
+  const hostname = url.hostname.toLowerCase();
+  if (
+    host !== '*' &&
+    (host.startsWith('*.')
+      ? !hostname.endsWith(host.slice(1))
+      : host !== hostname)
+  ) {
+    return false;
+  }
+
+  if (port !== '*' && (port || '') !== url.port) {
+    return false;
+  }
+
+  if (sourcePath) {
+    let pathname;
+    try {
+      pathname = decodeURIComponent(url.pathname);
+    } catch (e) {
+      // a path with a malformed escape can't match the path of a source
+      return false;
+    }
+    return sourcePath.endsWith('/')
+      ? pathname.startsWith(sourcePath)
+      : pathname === sourcePath;
+  }
+  return true;
+};
+
+/**
+ * Gets the hash sources from the integrity attribute of an external script, e.g. added by SubresourceIntegrityPlugin
+ * https://www.w3.org/TR/CSP3/#match-element-to-source-list
+ * @param {object} $ - the Cheerio instance
+ * @param {object} element - the element
+ * @return {string[]} - empty if the element isn't an external script with integrity metadata
+ */
+const getIntegrityHashes = ($, element) => {
+  const integrity = $(element).attr('integrity');
+  if (element.tagName !== 'script' || !$(element).attr('src') || !integrity) {
+    return [];
+  }
+
+  // any options after the ? aren't part of the hash
+  return integrity
+    .trim()
+    .split(/\s+/)
+    .map((metadata) => metadata.split('?')[0])
+    .filter((metadata) =>
+      /^sha(256|384|512)-[A-Za-z0-9+/_-]+={0,2}$/.test(metadata)
+    )
+    .map((metadata) => `'${metadata}'`);
+};
+
+module.exports = {
+  urlMatchesSource,
+  getIntegrityHashes,
+};
@@ -0,0 +1,209 @@
+const path = require('path');
+const flatten = require('lodash/flatten');
+
+/**
+ * Converts an HtmlWebpackPlugin output name into the url path it is served from
+ * @param {string} outputName - the output name relative to the webpack output path
+ * @return {string}
+ */
+const toUrlPath = (outputName) =>
+  `/${outputName.split(path.sep).join('/')}`.replace(/\/{2,}/g, '/');
+
+/**
+ * Finds the manifest entry for a request url, treating a directory as its index.html
+ * @param {object} manifest - the CSP manifest
+ * @param {string} url - the request url
+ * @return {string|undefined} - the html file the url is for
+ */
+const findPage = (manifest, url) => {
+  let pathname;
+  try {
+    pathname = decodeURIComponent(url.split(/[?#]/)[0]).replace(/^\/+/, '');
+  } catch (e) {
+    // a malformed url can't be one of our pages
+    return undefined;
+  }
+  if (pathname === '' || pathname.endsWith('/')) {
+    pathname += 'index.html';
+  }
+
+  return Object.prototype.hasOwnProperty.call(manifest, pathname)
+    ? pathname
+    : undefined;
+};
+
+/**
+ * A page named index.html is also served from its directory, so we need a rule for both urls
+ * @param {string} urlPath - the url path of the file
+ * @return {string[]}
+ */
+const getRoutes = (urlPath) =>
+  urlPath.endsWith('/index.html')
+    ? [urlPath.slice(0, -'index.html'.length), urlPath]
+    : [urlPath];
+
+/**
+ * Escapes a value so it can be placed inside a double quoted config string
+ * @param {string} value
+ * @return {string}
+ */
+const quote = (value) => `"${value.replace(/(["\\])/g, '\\$1')}"`;
+
+/**
+ * Builds the `_headers` file format shared by Netlify and Cloudflare Pages
+ * @param {object[]} rules - the header rules collected for each page
+ * @return {string}
+ */
+const renderHeadersFile = (rules) =>
+  rules
+    .map(({ path: urlPath, headers }) =>
+      getRoutes(urlPath)
+        .map((route) =>
+          [
+            route,
+            ...Object.keys(headers).map(
+              (name) => `  ${name}: ${headers[name]}`
+            ),
+          ].join('\n')
+        )
+        .join('\n')
+    )
+    .join('\n');
+
+/**
+ * Builds the `{ source, headers: [{ key, value }] }` entries used by vercel.json and firebase.json
+ * @param {object[]} rules - the header rules collected for each page
+ * @return {object[]}
+ */
+const toJsonHeaders = (rules) =>
+  flatten(
+    rules.map(({ path: urlPath, headers }) =>
+      getRoutes(urlPath).map((route) => ({
+        source: route,
+        headers: Object.keys(headers).map((key) => ({
+          key,
+          value: headers[key],
+        })),
+      }))
+    )
+  );
+
+/**
+ * The header file formats we know how to write
+ * Each one has the default filename it is emitted as, and a render function which turns the rules into the file contents
+ */
+const outputTargets = {
+  nginx: {
+    filename: 'nginx-csp-header.conf',
+    // nginx internally redirects directory requests to index.html, so only the file itself needs a location
+    render: (rules) =>
+      rules
+        .map(({ path: urlPath, headers }) =>
+          [
+            `location = ${urlPath} {`,
+            ...Object.keys(headers).map(
+              (name) => `  add_header ${name} ${quote(headers[name])} always;`
+            ),
+            '}',
+          ].join('\n')
+        )
+        .join('\n'),
+  },
+  apache: {
+    filename: '.htaccess',
+    render: (rules) =>
+      rules
+        .map(({ path: urlPath, headers }) =>
+          [
+            `<If "%{REQUEST_URI} in { ${getRoutes(urlPath)
+              .map((route) => `'${route}'`)
+              .join(', ')} }">`,
+            ...Object.keys(headers).map(
+              (name) => `  Header set ${name} ${quote(headers[name])}`
+            ),
+            '</If>',
+          ].join('\n')
+        )
+        .join('\n'),
+  },
+  netlify: {
+    filename: '_headers',
+    render: renderHeadersFile,
+  },
+  cloudflare: {
+    filename: '_headers',
+    render: renderHeadersFile,
+  },
+  // Vercel and Firebase only read their config from the project root, so these are fragments to merge into it
+  vercel: {
+    filename: 'csp-headers.vercel.json',
+    render: (rules) =>
+      JSON.stringify({ headers: toJsonHeaders(rules) }, null, 2),
+  },
+  firebase: {
+    filename: 'csp-headers.firebase.json',
+    render: (rules) =>
+      JSON.stringify({ hosting: { headers: toJsonHeaders(rules) } }, null, 2),
+  },
+};
+
+/**
+ * Normalises the outputs option into a list of { type, filename } objects
+ * Each output can either be the name of a target, or an object with a type and an optional filename to override the default
+ * @param {Array<string|object>} outputs - the outputs option passed into the plugin
+ * @return {object[]}
+ */
+const normalizeOutputs = (outputs) =>
+  outputs.map((output) => {
+    const { type, filename } =
+      typeof output === 'string' ? { type: output } : output;
+
+    if (!outputTargets[type]) {
+      throw new Error(`'${type}' is not a valid output`);
+    }
+
+    return { type, filename: filename || outputTargets[type].filename };
+  });
+
+/**
+ * Renders every output for the header rules collected so far
+ * Targets sharing a filename (e.g. Netlify and Cloudflare Pages) are only written once
+ * @param {object[]} outputs - the normalised outputs
+ * @param {object[]} rules - a list of { path, headers } objects, one per page
+ * @return {object[]} - a list of { filename, content } objects
+ */
+const renderOutputs = (outputs, rules) =>
+  outputs
+    .filter(
+      (output, i) =>
+        outputs.findIndex(({ filename }) => filename === output.filename) === i
+    )
+    .map(({ type, filename }) => ({
+      filename,
+      content: `${outputTargets[type].render(rules)}\n`,
+    }));
+
+/**
+ * Emits an asset, or replaces it if a previous page has already emitted it in this compilation
+ * @param {object} compilation - the webpack compilation object
+ * @param {string} filename - the filename relative to the webpack output path
+ * @param {string} content - the contents of the file
+ */
+const emitOrUpdateAsset = (compilation, filename, content) => {
+  // the middleware loads this module too, where webpack may not be installed, so the compilation's own webpack is used
+  const source = new compilation.compiler.webpack.sources.RawSource(content);
+  if (compilation.getAsset(filename)) {
+    compilation.updateAsset(filename, source);
+  } else {
+    compilation.emitAsset(filename, source);
+  }
+};
+
+module.exports = {
+  outputTargets,
+  toUrlPath,
+  findPage,
+  normalizeOutputs,
+  renderOutputs,
+  emitOrUpdateAsset,
+};
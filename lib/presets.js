@@ -0,0 +1,64 @@
+/**
+ * Named policies, along with the hashes and nonces they need to work
+ * - strict: nonce based strict CSP, with fallbacks for browsers which don't support 'strict-dynamic'
+ *   https://web.dev/articles/strict-csp
+ * - strict-hash: hash based policy for static hosting, where a nonce can't be refreshed for every response,
+ *   so external scripts are allowed by 'self' instead
+ * - lax: allows inline scripts and styles, for apps which can't avoid them yet
+ * The legacy preset, which is the default policy of this plugin, is added by the plugin itself
+ * In the strict policy 'unsafe-inline' and https: are ignored by browsers which support nonces and 'strict-dynamic',
+ * so they only loosen the policy for browsers which couldn't enforce it anyway.
+ */
+const presets = {
+  strict: {
+    policy: {
+      'base-uri': "'none'",
+      'object-src': "'none'",
+      'script-src': ["'strict-dynamic'", "'unsafe-inline'", 'https:'],
+      'style-src': "'self'",
+    },
+    hashEnabled: {
+      'script-src': true,
+      'style-src': true,
+    },
+    nonceEnabled: {
+      'script-src': true,
+      'style-src': true,
+    },
+  },
+  'strict-hash': {
+    policy: {
+      'base-uri': "'none'",
+      'object-src': "'none'",
+      'script-src': "'self'",
+      'style-src': "'self'",
+    },
+    hashEnabled: {
+      'script-src': true,
+      'style-src': true,
+    },
+    nonceEnabled: {
+      'script-src': false,
+      'style-src': false,
+    },
+  },
+  lax: {
+    policy: {
+      'base-uri': "'self'",
+      'object-src': "'none'",
+      'script-src': ["'self'", "'unsafe-inline'", "'unsafe-eval'"],
+      'style-src': ["'self'", "'unsafe-inline'"],
+    },
+    // a hash or nonce would make browsers ignore 'unsafe-inline'
+    hashEnabled: {
+      'script-src': false,
+      'style-src': false,
+    },
+    nonceEnabled: {
+      'script-src': false,
+      'style-src': false,
+    },
+  },
+};
+
+module.exports = { presets };
@@ -0,0 +1,104 @@
+const { addSources } = require('./directives');
+
+// endpoint names are the keys of a structured header dictionary
+// https://www.rfc-editor.org/rfc/rfc8941#name-dictionaries
+const endpointNameRegex = /^[a-z*][a-z0-9_.*-]*$/;
+
+// urls can't contain anything which would end the policy directive or the header string they're written into
+const endpointUrlRegex = /^[^\s;,'"\\]+$/;
+
+// the directives 'report-sample' has a meaning in
+const sampleDirectives = [
+  'script-src',
+  'script-src-elem',
+  'script-src-attr',
+  'style-src',
+  'style-src-elem',
+  'style-src-attr',
+];
+
+/**
+ * Normalizes the reporting option, making sure its endpoints and group can be written into the policy and headers
+ * - endpoints: a <string, string> object of endpoint names to the urls reports are sent to
+ * - group: the endpoint the policy reports to, which defaults to the first one
+ * - reportSample: true to add 'report-sample' to script-src and style-src, or a <string, boolean> object of directives
+ * @param {object|null} reporting - the reporting option
+ * @return {{endpoints: object, group: string, sampleDirectives: string[]}|null} - null if reporting isn't used
+ */
+const normalizeReporting = (reporting) => {
+  if (!reporting) {
+    return null;
+  }
+
+  const { endpoints = {}, reportSample = false } = reporting;
+  const names = Object.keys(endpoints);
+  if (!names.length) {
+    throw new Error('reporting needs at least one endpoint');
+  }
+
+  names.forEach((name) => {
+    if (!endpointNameRegex.test(name)) {
+      throw new Error(`'${name}' is not a valid reporting endpoint name`);
+    }
+    if (!endpointUrlRegex.test(endpoints[name])) {
+      throw new Error(`'${endpoints[name]}' is not a valid reporting endpoint`);
+    }
+  });
+
+  const group = reporting.group || names[0];
+  if (!names.includes(group)) {
+    throw new Error(`'${group}' is not a valid reporting group`);
+  }
+
+  const samples =
+    reportSample === true
+      ? { 'script-src': true, 'style-src': true }
+      : reportSample || {};
+  Object.keys(samples).forEach((directive) => {
+    if (!sampleDirectives.includes(directive)) {
+      throw new Error(`'${directive}' does not support 'report-sample'`);
+    }
+  });
+
+  return {
+    endpoints: { ...endpoints },
+    group,
+    sampleDirectives: Object.keys(samples).filter(
+      (directive) => samples[directive]
+    ),
+  };
+};
+
+/**
+ * Points the policy at the reporting group, replacing any report-uri / report-to it already has so the two always agree
+ * report-uri is kept alongside report-to for browsers which don't support the Reporting API yet.
+ * @param {object} policyObj - the policy object
+ * @param {object} reporting - the normalized reporting option
+ * @return {object}
+ */
+const addReporting = (policyObj, reporting) =>
+  reporting.sampleDirectives.reduce(
+    (policy, directive) => addSources(policy, directive, ["'report-sample'"]),
+    {
+      ...policyObj,
+      'report-uri': reporting.endpoints[reporting.group],
+      'report-to': reporting.group,
+    }
+  );
+
+/**
+ * Builds the Reporting-Endpoints header, which gives the url of each group a report-to directive can name
+ * https://w3c.github.io/reporting/#header
+ * @param {object} reporting - the normalized reporting option
+ * @return {string}
+ */
+const buildReportingEndpoints = (reporting) =>
+  Object.keys(reporting.endpoints)
+    .map((name) => `${name}="${reporting.endpoints[name]}"`)
+    .join(', ');
+
+module.exports = {
+  normalizeReporting,
+  addReporting,
+  buildReportingEndpoints,
+};
@@ -0,0 +1,242 @@
+const crypto = require('crypto');
+const { getEffectiveDirective, splitSources } = require('./directives');
+const { findPage } = require('./outputs');
+
+// browsers cut samples off at 40 characters, so anything shorter is the whole of the inline code and can be hashed
+const maxSampleLength = 40;
+
+/**
+ * The keywords browsers report as the blocked uri, and the source which would have allowed them
+ * https://www.w3.org/TR/CSP3/#violation-url
+ */
+const keywordSources = {
+  eval: "'unsafe-eval'",
+  'wasm-eval': "'wasm-unsafe-eval'",
+};
+
+// the schemes which are allowed as a whole, rather than by origin
+const schemeSources = ['data:', 'blob:', 'filesystem:', 'mediastream:'];
+
+/**
+ * Gets the first value which is set, since older browsers use different property names
+ * @param {...*} values
+ * @return {*} - null if none of them are set
+ */
+const firstOf = (...values) => {
+  const value = values.find((v) => v !== undefined && v !== null);
+  return value === undefined ? null : value;
+};
+
+/**
+ * Normalizes a report sent by a browser, in either the report-uri (application/csp-report) or Reporting API
+ * (application/reports+json) format, into the format we store
+ * @param {object} payload - a parsed report body
+ * @return {object[]} - the csp violations in the payload, which is empty if it didn't contain any
+ */
+const normalizeReports = (payload) => {
+  if (payload && payload['csp-report']) {
+    const report = payload['csp-report'];
+    return [
+      {
+        documentUrl: report['document-uri'] || null,
+        blockedUrl: firstOf(report['blocked-uri']),
+        // violated-directive can include the sources of the directive in older browsers
+        effectiveDirective: `${firstOf(
+          report['effective-directive'],
+          report['violated-directive'],
+          ''
+        )}`.split(' ')[0],
+        disposition: report.disposition || 'enforce',
+        sample: firstOf(report['script-sample']),
+        sourceFile: firstOf(report['source-file']),
+        lineNumber: firstOf(report['line-number']),
+      },
+    ];
+  }
+
+  return (Array.isArray(payload) ? payload : [])
+    .filter((report) => report && report.type === 'csp-violation')
+    .map(({ url, body = {} }) => ({
+      documentUrl: firstOf(body.documentURL, url),
+      blockedUrl: firstOf(body.blockedURL),
+      effectiveDirective: body.effectiveDirective || '',
+      disposition: body.disposition || 'enforce',
+      sample: firstOf(body.sample),
+      sourceFile: firstOf(body.sourceFile),
+      lineNumber: firstOf(body.lineNumber),
+    }));
+};
+
+/**
+ * Parses the reports written by the collector, ignoring any lines which can't be parsed
+ * @param {string} content - the JSON lines file
+ * @return {object[]}
+ */
+const parseReports = (content) =>
+  content
+    .split('\n')
+    .filter((line) => line.trim())
+    .map((line) => {
+      try {
+        return JSON.parse(line);
+      } catch (e) {
+        return null;
+      }
+    })
+    .filter((report) => report && report.effectiveDirective);
+
+/**
+ * Works out the sources which would have allowed a violation
+ * - inline code is allowed by its hash when the sample holds all of it, or else 'unsafe-inline'
+ * - eval is allowed by 'unsafe-eval' or 'wasm-unsafe-eval'
+ * - urls on the same origin as the page are allowed by 'self', others by their origin or scheme
+ * @param {object} report - a normalized report
+ * @return {string[]} - empty if we can't suggest anything, e.g. for trusted types violations
+ */
+const getReportSources = (report) => {
+  const { blockedUrl, documentUrl, effectiveDirective, sample } = report;
+  if (!blockedUrl) {
+    return [];
+  }
+
+  if (blockedUrl === 'inline') {
+    // inline event handlers and style attributes can only be allowed by hash with 'unsafe-hashes'
+    const attribute = effectiveDirective.endsWith('-attr');
+    return sample !== null && sample.length < maxSampleLength
+      ? [
+          ...(attribute ? ["'unsafe-hashes'"] : []),
+          `'sha256-${crypto
+            .createHash('sha256')
+            .update(sample, 'utf8')
+            .digest('base64')}'`,
+        ]
+      : ["'unsafe-inline'"];
+  }
+
+  if (keywordSources[blockedUrl]) {
+    return [keywordSources[blockedUrl]];
+  }
+
+  let url;
+  try {
+    url = new URL(blockedUrl.includes(':') ? blockedUrl : `${blockedUrl}:`);
+  } catch (e) {
+    return [];
+  }
+
+  if (schemeSources.includes(url.protocol)) {
+    return [url.protocol];
+  }
+  if (!['http:', 'https:', 'ws:', 'wss:'].includes(url.protocol)) {
+    return [];
+  }
+
+  try {
+    if (documentUrl && new URL(documentUrl).origin === url.origin) {
+      return ["'self'"];
+    }
+  } catch (e) {
+    // a document url we can't parse can't be on the same origin
+  }
+  return [url.origin];
+};
+
+/**
+ * Finds the policy a report was made against in the CSP manifest, so sources which are already allowed aren't suggested
+ * @param {object|null} manifest - the CSP manifest
+ * @param {object} report - a normalized report
+ * @return {object|null} - the policy object, or null if we don't know it
+ */
+const getReportPolicy = (manifest, report) => {
+  if (!manifest || !report.documentUrl) {
+    return null;
+  }
+
+  let pathname;
+  try {
+    ({ pathname } = new URL(report.documentUrl));
+  } catch (e) {
+    return null;
+  }
+
+  const page = findPage(manifest, pathname);
+  if (!page) {
+    return null;
+  }
+  return report.disposition === 'report'
+    ? manifest[page].reportOnlyPolicy
+    : manifest[page].policy;
+};
+
+/**
+ * Suggests the sources to add to each directive to allow the violations reported, most reported first
+ * When the manifest is given, each source is suggested for the directive actually in effect for the page
+ * (e.g. script-src for a script-src-elem violation when the policy has no script-src-elem), and sources which
+ * are already allowed are left out since those reports came from an older policy.
+ * @param {object[]} reports - the normalized reports
+ * @param {object|null} manifest - the CSP manifest, if there is one
+ * @return {object} - a <string, {source: string, count: number}[]> object of directives to the sources to add
+ */
+const suggestSources = (reports, manifest = null) => {
+  const counts = {};
+
+  reports.forEach((report) => {
+    const policyObj = getReportPolicy(manifest, report);
+    const directive =
+      (policyObj &&
+        getEffectiveDirective(policyObj, report.effectiveDirective)) ||
+      report.effectiveDirective;
+    const existing = policyObj ? splitSources(policyObj[directive]) : [];
+
+    getReportSources(report)
+      .filter((source) => !existing.includes(source))
+      .forEach((source) => {
+        counts[directive] = counts[directive] || {};
+        counts[directive][source] = (counts[directive][source] || 0) + 1;
+      });
+  });
+
+  return Object.keys(counts)
+    .sort()
+    .reduce(
+      (suggestions, directive) => ({
+        ...suggestions,
+        [directive]: Object.keys(counts[directive])
+          .map((source) => ({ source, count: counts[directive][source] }))
+          .sort((a, b) => b.count - a.count),
+      }),
+      {}
+    );
+};
+
+/**
+ * Formats the suggestions for the terminal
+ * @param {object} suggestions - from suggestSources
+ * @return {string}
+ */
+const formatSuggestions = (suggestions) => {
+  const directives = Object.keys(suggestions);
+  if (!directives.length) {
+    return 'No sources to suggest, every reported violation is already allowed by the policy';
+  }
+
+  return directives
+    .map((directive) =>
+      [
+        directive,
+        ...suggestions[directive].map(
+          ({ source, count }) =>
+            `  + ${source} (${count} report${count === 1 ? '' : 's'})`
+        ),
+      ].join('\n')
+    )
+    .join('\n\n');
+};
+
+module.exports = {
+  normalizeReports,
+  parseReports,
+  getReportSources,
+  suggestSources,
+  formatSuggestions,
+};
@@ -0,0 +1,199 @@
+const { directives, splitSources } = require('./directives');
+
+/**
+ * Keywords which can be used as a source expression
+ * https://www.w3.org/TR/CSP3/#grammardef-keyword-source
+ */
+const keywordSources = [
+  "'self'",
+  "'unsafe-inline'",
+  "'unsafe-eval'",
+  "'strict-dynamic'",
+  "'unsafe-hashes'",
+  "'report-sample'",
+  "'unsafe-allow-redirects'",
+  "'wasm-unsafe-eval'",
+  "'inline-speculation-rules'",
+  "'none'",
+];
+
+// the length of a base64 encoded digest for each hashing algorithm
+const hashLengths = { sha256: 44, sha384: 64, sha512: 88 };
+
+const nonceSourceRegex = /^'nonce-[A-Za-z0-9+/_-]+={0,2}'$/;
+const hashSourceRegex = /^'(sha256|sha384|sha512)-([A-Za-z0-9+/_-]+={0,2})'$/;
+const schemeSourceRegex = /^[a-zA-Z][a-zA-Z0-9+.-]*:$/;
+const hostSourceRegex =
+  /^(?:[a-zA-Z][a-zA-Z0-9+.-]*:\/\/)?(?:\*|(?:\*\.)?[a-zA-Z0-9-]+(?:\.[a-zA-Z0-9-]+)*)(?::(?:[0-9]+|\*))?(?:\/[^\s;,'"]*)?$/;
+const reportGroupRegex = /^[A-Za-z0-9!#$%&*+.^_`|~-]+$/;
+const trustedTypesPolicyRegex = /^[A-Za-z0-9\-#=_/@.%]+$/;
+const uriRegex = /^[^\s;,'"]+$/;
+
+/**
+ * Calculates the Levenshtein distance between two strings, so we can suggest the directive that was probably meant
+ * @param {string} a
+ * @param {string} b
+ * @return {number}
+ */
+const distance = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i += 1) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j += 1) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+/**
+ * Checks whether a source expression is valid in a source list
+ * @param {string} source
+ * @return {boolean}
+ */
+const isValidSource = (source) => {
+  if (keywordSources.includes(source) || nonceSourceRegex.test(source)) {
+    return true;
+  }
+
+  const hash = source.match(hashSourceRegex);
+  if (hash) {
+    return hash[2].length === hashLengths[hash[1]];
+  }
+
+  return schemeSourceRegex.test(source) || hostSourceRegex.test(source);
+};
+
+/**
+ * Checks whether a source expression is valid in an ancestor source list, which only allows hosts, schemes, 'self' and 'none'
+ * @param {string} source
+ * @return {boolean}
+ */
+const isValidAncestorSource = (source) =>
+  ["'self'", "'none'"].includes(source) ||
+  (!source.startsWith("'") &&
+    (schemeSourceRegex.test(source) || hostSourceRegex.test(source)));
+
+/**
+ * Checks the values of a directive against the grammar for the kind of value it takes
+ * @param {string} key - the directive name
+ * @param {string[]} values - the values of the directive
+ * @param {object} result - the errors and warnings to add to
+ */
+const validateValues = (key, values, { errors, warnings }) => {
+  const { kind, tokens } = directives[key];
+  const invalid = (value, reason = 'which is not a valid source expression') =>
+    errors.push(`CSP: policy for ${key} contains ${value} ${reason}`);
+
+  switch (kind) {
+    case 'source-list':
+    case 'ancestor-source-list': {
+      const isValid =
+        kind === 'source-list' ? isValidSource : isValidAncestorSource;
+      values
+        .filter((value) => !isValid(value))
+        .forEach((value) => invalid(value));
+
+      if (values.includes("'none'") && values.length > 1) {
+        warnings.push(
+          `CSP: policy for ${key} contains 'none' which is ignored when combined with other sources`
+        );
+      }
+      break;
+    }
+    case 'tokens':
+      values
+        .filter((value) => !tokens.includes(value))
+        .forEach((value) =>
+          invalid(value, `which is not one of ${tokens.join(', ')}`)
+        );
+      break;
+    case 'trusted-types':
+      values
+        .filter(
+          (value) =>
+            !["'none'", "'allow-duplicates'", '*'].includes(value) &&
+            !trustedTypesPolicyRegex.test(value)
+        )
+        .forEach((value) => invalid(value, 'which is not a valid policy name'));
+      break;
+    case 'uri-list':
+      values
+        .filter((value) => !uriRegex.test(value))
+        .forEach((value) => invalid(value, 'which is not a valid url'));
+      break;
+    case 'token':
+      if (values.length !== 1 || !reportGroupRegex.test(values[0])) {
+        errors.push(`CSP: policy for ${key} should be a single token`);
+      }
+      break;
+    default:
+      if (values.length) {
+        errors.push(`CSP: ${key} does not take a value`);
+      }
+  }
+};
+
+/**
+ * Validates the name of every directive in a policy, and the grammar of each of their values
+ * Unknown directives and malformed values are errors, while deprecated and experimental directives are warnings.
+ * @param {object} policy - the policy object
+ * @param {string[]} experimentalDirectives - directives which can be used without a warning, even if we don't know about them
+ * @param {string[]} ignoredSources - sources which have already been reported, so shouldn't be reported again
+ * @return {{errors: string[], warnings: string[]}}
+ */
+const validateDirectives = (
+  policy,
+  experimentalDirectives = [],
+  ignoredSources = []
+) => {
+  const result = { errors: [], warnings: [] };
+
+  Object.keys(policy).forEach((key) => {
+    if (experimentalDirectives.includes(key)) {
+      return;
+    }
+
+    const directive = directives[key];
+    if (!directive) {
+      const suggestion = Object.keys(directives).find(
+        (name) => distance(key, name) <= 2
+      );
+      result.errors.push(
+        `CSP: ${key} is not a valid directive${
+          suggestion ? `, did you mean ${suggestion}?` : ''
+        }`
+      );
+      return;
+    }
+
+    if (directive.deprecated) {
+      result.warnings.push(
+        `CSP: ${key} is deprecated and should be removed from the policy`
+      );
+    } else if (directive.experimental) {
+      result.warnings.push(
+        `CSP: ${key} is experimental, add it to experimentalDirectives to use it without a warning`
+      );
+    }
+
+    const values = splitSources(policy[key]).filter(
+      (value) => !ignoredSources.includes(value)
+    );
+
+    validateValues(key, values, result);
+  });
+
+  return result;
+};
+
+module.exports = {
+  keywordSources,
+  isValidSource,
+  validateDirectives,
+};
@@ -0,0 +1,83 @@
+const { getPageChunks } = require('./chunks');
+const { getOrigin } = require('./discover');
+
+/**
+ * Finds the workers a page starts, e.g. with new Worker(new URL('./worker.js', import.meta.url))
+ * webpack gives each worker an entrypoint of its own, which is referenced from the chunks starting it rather than being one
+ * of their async chunks. Workers started by those workers are included too, since they get the same policy.
+ * @param {object} compilation - the webpack compilation object
+ * @param {object} htmlPluginOptions - the options of the HtmlWebpackPlugin instance
+ * @return {string[]} - the filenames of the script each worker is started from
+ */
+const getPageWorkers = (compilation, htmlPluginOptions) => {
+  const entrypoints = new Set();
+  const visit = (chunks) =>
+    chunks.forEach((chunk) =>
+      chunk.getAllReferencedAsyncEntrypoints().forEach((entrypoint) => {
+        if (entrypoints.has(entrypoint)) {
+          return;
+        }
+        entrypoints.add(entrypoint);
+        visit(
+          entrypoint.chunks.reduce(
+            (workerChunks, workerChunk) => [
+              ...workerChunks,
+              workerChunk,
+              ...workerChunk.getAllAsyncChunks(),
+            ],
+            []
+          )
+        );
+      })
+    );
+  visit(getPageChunks(compilation, htmlPluginOptions));
+
+  return Array.from(entrypoints)
+    .map((entrypoint) =>
+      Array.from(entrypoint.getEntrypointChunk().files).find((file) =>
+        /\.m?js($|\?)/.test(file)
+      )
+    )
+    .filter(Boolean);
+};
+
+/**
+ * Works out the sources worker-src needs to start the workers, from where webpack loads them
+ * - a worker on the same origin as the page needs 'self', which is assumed unless the public path is absolute
+ * - browsers won't start a worker from another origin directly, so it's wrapped in a blob: url which imports it, and
+ *   needs both blob: and the origin
+ * @param {object} compilation - the webpack compilation object
+ * @param {string[]} workers - the filenames of the workers, from getPageWorkers
+ * @return {Array<{directive: string, source: string, worker: object}>}
+ */
+const getWorkerSources = (compilation, workers) => {
+  const { workerPublicPath, publicPath } = compilation.outputOptions;
+  const base = compilation.getPath(workerPublicPath || publicPath || '', {
+    hash: compilation.hash,
+  });
+
+  return workers.reduce((sources, filename) => {
+    const url = `${base === 'auto' ? '' : base}${filename}`;
+    const origin = getOrigin(url);
+    const worker = { filename, url };
+
+    return [
+      ...sources,
+      ...(origin
+        ? [
+            { directive: 'worker-src', source: origin, worker },
+            {
+              directive: 'worker-src',
+              source: 'blob:',
+              worker: { filename, url: 'blob:' },
+            },
+          ]
+        : [{ directive: 'worker-src', source: "'self'", worker }]),
+    ];
+  }, []);
+};
+
+module.exports = {
+  getPageWorkers,
+  getWorkerSources,
+};
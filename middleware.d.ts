@@ -0,0 +1,61 @@
+import { IncomingMessage, ServerResponse } from 'http';
+
+export interface CspMiddlewareOptions {
+    /**
+     * The webpack output path containing the html files and the CSP manifest.
+     */
+    root: string;
+    /**
+     * The filename of the CSP manifest, relative to the root.
+     * @default 'csp-manifest.json'
+     */
+    manifestFilename?: string | undefined;
+    /**
+     * Whether the manifest and html files should only be read once.
+     * @default true
+     */
+    cache?: boolean | undefined;
+    /**
+     * The filesystem to read from, e.g. the in-memory filesystem of
+     * webpack-dev-middleware.
+     * @default require('fs')
+     */
+    fs?: { readFileSync(path: string, encoding: string): string | Buffer } | undefined;
+}
+
+export interface RenderedPage {
+    /** The nonce created for this response */
+    nonce: string;
+    headers: { [name: string]: string };
+    body: string;
+}
+
+/**
+ * Creates a function which renders the html and headers of a page built by
+ * the plugin with a fresh nonce, or returns null if the url isn't a page in the
+ * manifest.
+ */
+export function createCspRenderer(
+    options: CspMiddlewareOptions
+): (url: string) => RenderedPage | null;
+
+/**
+ * Creates middleware which serves the html files built by the plugin with a
+ * fresh nonce and the Content-Security-Policy headers. Works as a node http
+ * request listener and as Express / Connect middleware.
+ */
+export function createCspMiddleware(
+    options: CspMiddlewareOptions
+): (
+    req: IncomingMessage & { cspNonce?: string },
+    res: ServerResponse,
+    next?: () => void
+) => void;
+
+/**
+ * Creates Koa middleware which serves the html files built by the plugin with
+ * a fresh nonce and the Content-Security-Policy headers.
+ */
+export function createKoaCspMiddleware(
+    options: CspMiddlewareOptions
+): (ctx: any, next: () => Promise<any>) => Promise<any>;
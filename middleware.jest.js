@@ -0,0 +1,267 @@
+const http = require('http');
+const path = require('path');
+const HtmlWebpackPlugin = require('html-webpack-plugin');
+const {
+  WEBPACK_OUTPUT_DIR,
+  createWebpackConfig,
+  webpackCompile,
+} = require('./test-utils/webpack-helpers');
+const CspHtmlWebpackPlugin = require('./plugin');
+const {
+  createCspRenderer,
+  createCspMiddleware,
+  createKoaCspMiddleware,
+} = require('./middleware');
+
+/**
+ * Builds the fixtures with the plugin, and passes the memory filesystem the output was written to into the callback
+ * @param {object} additionalOpts - additional options for the CspHtmlWebpackPlugin
+ * @param {function} callbackFn - called with the filesystem
+ */
+function build(additionalOpts, callbackFn) {
+  const config = createWebpackConfig([
+    new HtmlWebpackPlugin({
+      filename: path.join(WEBPACK_OUTPUT_DIR, 'index.html'),
+      template: path.join(
+        __dirname,
+        'test-utils',
+        'fixtures',
+        'with-script-and-style.html'
+      ),
+    }),
+    new CspHtmlWebpackPlugin(
+      { 'script-src': "'self'", 'style-src': "'self'" },
+      {
+        integrityEnabled: false,
+        primeReactEnabled: false,
+        manifestEnabled: true,
+        ...additionalOpts,
+      }
+    ),
+  ]);
+
+  webpackCompile(config, (csps, selectors, fileSystem) =>
+    callbackFn(fileSystem)
+  );
+}
+
+/**
+ * Makes a request to a server listening on a random port
+ * @param {function} listener - the http request listener
+ * @param {string} url - the url to request
+ * @param {string} method - the http method
+ * @return {Promise<object>} - resolves with the status code, headers and body
+ */
+function request(listener, url, method = 'GET') {
+  const server = http.createServer(listener);
+
+  return new Promise((resolve, reject) => {
+    server.listen(0, '127.0.0.1', () => {
+      const req = http.request(
+        { host: '127.0.0.1', port: server.address().port, path: url, method },
+        (res) => {
+          let body = '';
+          res.setEncoding('utf8');
+          res.on('data', (chunk) => {
+            body += chunk;
+          });
+          res.on('end', () => {
+            server.close();
+            resolve({ status: res.statusCode, headers: res.headers, body });
+          });
+        }
+      );
+      req.on('error', (err) => {
+        server.close();
+        reject(err);
+      });
+      req.end();
+    });
+  });
+}
+
+describe('CSP middleware', () => {
+  it('throws an error if no root is given', () => {
+    expect(() => createCspRenderer({})).toThrow(
+      new Error('The root option is required')
+    );
+  });
+
+  it('replaces the nonces created at build time with a fresh nonce for every response', (done) => {
+    build({}, (fileSystem) => {
+      const manifest = JSON.parse(
+        fileSystem
+          .readFileSync(path.join(WEBPACK_OUTPUT_DIR, 'csp-manifest.json'))
+          .toString()
+      );
+      const buildNonce = manifest['index.html'].nonces[0].source.slice(7, -1);
+
+      const middleware = createCspMiddleware({
+        root: WEBPACK_OUTPUT_DIR,
+        fs: fileSystem,
+      });
+
+      Promise.all([request(middleware, '/'), request(middleware, '/')]).then(
+        ([first, second]) => {
+          [first, second].forEach(({ status, headers, body }) => {
+            expect(status).toEqual(200);
+            expect(headers['content-type']).toEqual('text/html; charset=utf-8');
+            expect(body).not.toContain(buildNonce);
+            expect(headers['content-security-policy']).not.toContain(
+              buildNonce
+            );
+          });
+
+          const nonce =
+            first.headers['content-security-policy'].match(
+              /'nonce-([^']+)'/
+            )[1];
+          expect(first.body).toContain(`nonce="${nonce}"`);
+          expect(first.body).toContain(`'nonce-${nonce}'`);
+          expect(second.headers['content-security-policy']).not.toContain(
+            nonce
+          );
+          done();
+        }
+      );
+    });
+  });
+
+  it('replaces the CSS-in-JS nonce in the meta tag with the fresh nonce too', (done) => {
+    build({ cssInJs: ['jss'] }, (fileSystem) => {
+      const manifest = JSON.parse(
+        fileSystem
+          .readFileSync(path.join(WEBPACK_OUTPUT_DIR, 'csp-manifest.json'))
+          .toString()
+      );
+      const [cssInJsNonce] = manifest['index.html'].nonces;
+      expect(cssInJsNonce.element.tagName).toEqual('meta');
+
+      const middleware = createCspMiddleware({
+        root: WEBPACK_OUTPUT_DIR,
+        fs: fileSystem,
+      });
+
+      request(middleware, '/').then(({ headers, body }) => {
+        const nonce =
+          headers['content-security-policy'].match(/'nonce-([^']+)'/)[1];
+        expect(body).toContain(
+          `<meta name="csp-nonce" nonce="${nonce}" content="${nonce}">`
+        );
+        expect(headers['content-security-policy']).not.toContain(
+          cssInJsNonce.source
+        );
+        done();
+      });
+    });
+  });
+
+  it('substitutes the nonce placeholder and sends the report-only header', (done) => {
+    build(
+      {
+        nonceMode: 'placeholder',
+        reportOnlyPolicy: { 'script-src': "'strict-dynamic'" },
+        outputs: ['nginx'],
+      },
+      (fileSystem) => {
+        const middleware = createCspMiddleware({
+          root: WEBPACK_OUTPUT_DIR,
+          fs: fileSystem,
+        });
+
+        request(middleware, '/index.html?query=1').then(
+          ({ status, headers, body }) => {
+            const nonce =
+              headers['content-security-policy'].match(/'nonce-([^']+)'/)[1];
+
+            expect(status).toEqual(200);
+            expect(body).not.toContain('__CSP_NONCE__');
+            expect(body).toContain(`nonce="${nonce}"`);
+            expect(headers['content-security-policy-report-only']).toContain(
+              `'nonce-${nonce}' 'strict-dynamic'`
+            );
+            done();
+          }
+        );
+      }
+    );
+  });
+
+  it('responds with a 404 for anything that is not a page when used as a request listener, and sends no body for HEAD requests', (done) => {
+    build({}, (fileSystem) => {
+      const middleware = createCspMiddleware({
+        root: WEBPACK_OUTPUT_DIR,
+        fs: fileSystem,
+      });
+
+      Promise.all([
+        request(middleware, '/index.bundle.js'),
+        request(middleware, '/', 'POST'),
+        request(middleware, '/', 'HEAD'),
+      ]).then(([asset, post, head]) => {
+        expect(asset.status).toEqual(404);
+        expect(post.status).toEqual(404);
+        expect(head.status).toEqual(200);
+        expect(head.headers['content-security-policy']).toBeDefined();
+        expect(head.body).toEqual('');
+        done();
+      });
+    });
+  });
+
+  it('passes anything that is not a page on to the next Express middleware', (done) => {
+    build({}, (fileSystem) => {
+      const middleware = createCspMiddleware({
+        root: WEBPACK_OUTPUT_DIR,
+        fs: fileSystem,
+      });
+      const next = jest.fn();
+
+      request((req, res) => {
+        middleware(req, res, () => {
+          next();
+          res.end('next');
+        });
+      }, '/index.bundle.js').then(({ body }) => {
+        expect(next).toHaveBeenCalled();
+        expect(body).toEqual('next');
+        done();
+      });
+    });
+  });
+
+  it('serves pages through Koa middleware', (done) => {
+    build({}, (fileSystem) => {
+      const middleware = createKoaCspMiddleware({
+        root: WEBPACK_OUTPUT_DIR,
+        fs: fileSystem,
+      });
+      const ctx = {
+        method: 'GET',
+        url: '/',
+        state: {},
+        set: jest.fn(),
+      };
+      const next = jest.fn(() => Promise.resolve());
+
+      middleware(ctx, next)
+        .then(() => {
+          expect(next).not.toHaveBeenCalled();
+          expect(ctx.status).toEqual(200);
+          expect(ctx.body).toContain(`nonce="${ctx.state.cspNonce}"`);
+          expect(ctx.set).toHaveBeenCalledWith({
+            'Content-Type': 'text/html; charset=utf-8',
+            'Content-Security-Policy': expect.stringContaining(
+              `'nonce-${ctx.state.cspNonce}'`
+            ),
+          });
+
+          return middleware({ ...ctx, url: '/missing.html' }, next);
+        })
+        .then(() => {
+          expect(next).toHaveBeenCalledTimes(1);
+          done();
+        });
+    });
+  });
+});
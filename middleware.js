@@ -0,0 +1,173 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { findPage } = require('./lib/outputs');
+
+const defaultOptions = {
+  manifestFilename: 'csp-manifest.json',
+  cache: true,
+  fs,
+};
+
+/**
+ * Create a random nonce for a response
+ * @return {string}
+ */
+const createNonce = () => crypto.randomBytes(16).toString('base64');
+
+/**
+ * Replaces every occurrence of the given values in a string
+ * @param {string} str - the string to replace the values in
+ * @param {string[]} values - the values to replace
+ * @param {string} replacement - the value to replace them with
+ * @return {string}
+ */
+const replaceAll = (str, values, replacement) =>
+  values.reduce((result, value) => result.split(value).join(replacement), str);
+
+/**
+ * Gets the nonces (or placeholder) written at build time for a page, which need replacing with a fresh nonce for each response.
+ * @param {object} entry - the manifest entry for the page
+ * @return {string[]}
+ */
+const getBuildNonces = (entry) => {
+  const nonces = entry.nonces.map(({ source }) =>
+    source.replace(/^'nonce-(.*)'$/, '$1')
+  );
+
+  if (entry.noncePlaceholder) {
+    nonces.push(entry.noncePlaceholder);
+  }
+
+  return [...new Set(nonces)];
+};
+
+/**
+ * Creates a function which renders the html and headers of a page built by the plugin, using a fresh nonce each time it is called
+ * @param {object} options
+ * @param {string} options.root - the webpack output path containing the html files and the CSP manifest
+ * @param {string} [options.manifestFilename] - the filename of the CSP manifest, relative to the root
+ * @param {boolean} [options.cache] - whether the manifest and html files should only be read once
+ * @param {object} [options.fs] - the filesystem to read from, e.g. the in-memory filesystem of webpack-dev-middleware
+ * @return {function(string): (object|null)} - returns { nonce, headers, body } for a request url, or null if it isn't a page in the manifest
+ */
+const createCspRenderer = (options) => {
+  const {
+    root,
+    manifestFilename,
+    cache,
+    fs: fileSystem,
+  } = { ...defaultOptions, ...options };
+  if (!root) {
+    throw new Error('The root option is required');
+  }
+
+  const files = new Map();
+  const readFile = (filename) => {
+    if (!cache || !files.has(filename)) {
+      files.set(
+        filename,
+        fileSystem.readFileSync(path.join(root, filename), 'utf8').toString()
+      );
+    }
+    return files.get(filename);
+  };
+
+  let cachedManifest;
+  const readManifest = () => {
+    if (!cache || !cachedManifest) {
+      cachedManifest = JSON.parse(readFile(manifestFilename));
+    }
+    return cachedManifest;
+  };
+
+  return (url) => {
+    const manifest = readManifest();
+    const page = findPage(manifest, url);
+    if (!page) {
+      return null;
+    }
+
+    const entry = manifest[page];
+    const buildNonces = getBuildNonces(entry);
+    const nonce = createNonce();
+
+    const headers = Object.keys(entry.headers).reduce(
+      (obj, name) => ({
+        ...obj,
+        [name]: replaceAll(entry.headers[name], buildNonces, nonce),
+      }),
+      { 'Content-Type': 'text/html; charset=utf-8' }
+    );
+
+    return {
+      nonce,
+      headers,
+      body: replaceAll(readFile(page), buildNonces, nonce),
+    };
+  };
+};
+
+/**
+ * Creates middleware which serves the html files built by the plugin with a fresh nonce and the Content-Security-Policy headers.
+ * It can be used as a node http request listener, or as Express / Connect middleware, in which case requests for anything
+ * other than a page in the manifest are passed on to the next middleware.
+ * @param {object} options - see createCspRenderer
+ * @return {function(object, object, function=)}
+ */
+const createCspMiddleware = (options) => {
+  const render = createCspRenderer(options);
+
+  return (req, res, next) => {
+    const page =
+      req.method === 'GET' || req.method === 'HEAD' ? render(req.url) : null;
+
+    if (!page) {
+      if (next) {
+        return next();
+      }
+      res.statusCode = 404;
+      return res.end();
+    }
+
+    // make the nonce available to anything else handling the request
+    req.cspNonce = page.nonce;
+
+    res.statusCode = 200;
+    Object.keys(page.headers).forEach((name) =>
+      res.setHeader(name, page.headers[name])
+    );
+    res.setHeader('Content-Length', Buffer.byteLength(page.body));
+    return res.end(req.method === 'HEAD' ? undefined : page.body);
+  };
+};
+
+/**
+ * Creates Koa middleware which serves the html files built by the plugin with a fresh nonce and the Content-Security-Policy headers
+ * @param {object} options - see createCspRenderer
+ * @return {function(object, function): Promise}
+ */
+const createKoaCspMiddleware = (options) => {
+  const render = createCspRenderer(options);
+
+  return async (ctx, next) => {
+    const page =
+      ctx.method === 'GET' || ctx.method === 'HEAD' ? render(ctx.url) : null;
+
+    if (!page) {
+      return next();
+    }
+
+    ctx.state.cspNonce = page.nonce;
+    ctx.status = 200;
+    ctx.set(page.headers);
+    ctx.body = page.body;
+    return undefined;
+  };
+};
+
+module.exports = {
+  createCspRenderer,
+  createCspMiddleware,
+  createKoaCspMiddleware,
+};
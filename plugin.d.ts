@@ -5,13 +5,41 @@ import HtmlWebpackPlugin = require('html-webpack-plugin');
 export = CspHtmlWebpackPlugin;
 
 declare class CspHtmlWebpackPlugin {
+    /**
+     * Placeholder syntaxes for common template engines.
+     */
+    static noncePlaceholders: {
+        [name in CspHtmlWebpackPlugin.NoncePlaceholderName]: string;
+    };
+
+    /**
+     * The sources needed by each third party service in our catalogue.
+     */
+    static integrations: {
+        [name in CspHtmlWebpackPlugin.IntegrationName]: CspHtmlWebpackPlugin.Integration;
+    };
+
+    /**
+     * How each CSS-in-JS library is given the style nonce at runtime.
+     */
+    static cssInJsAdapters: {
+        [name in CspHtmlWebpackPlugin.CssInJsAdapterName]: CspHtmlWebpackPlugin.CssInJsAdapter;
+    };
+
+    /**
+     * The policies and hash / nonce settings of each preset.
+     */
+    static presets: {
+        [name in CspHtmlWebpackPlugin.PresetName]: CspHtmlWebpackPlugin.Preset;
+    };
+
     /**
      * Setup for our plugin
      * @param policy - the policy object
      * @param additionalOpts - additional config options
      */
     constructor(
-        policy?: CspHtmlWebpackPlugin.Policy,
+        policy?: CspHtmlWebpackPlugin.Policy | CspHtmlWebpackPlugin.PolicyFn,
         additionalOpts?: CspHtmlWebpackPlugin.AdditionalOptions
     );
 
@@ -21,7 +49,8 @@ declare class CspHtmlWebpackPlugin {
 declare namespace CspHtmlWebpackPlugin {
     /**
      * A flat object which defines your CSP policy. Values can either be a
-     * string or an array of strings.
+     * string or an array of strings, or null to remove a directive from the
+     * default policy or preset.
      *
      * The default policy is:
      *
@@ -35,9 +64,20 @@ declare namespace CspHtmlWebpackPlugin {
      * ```
      */
     interface Policy {
-        [directive: string]: string | string[];
+        [directive: string]: string | string[] | null;
     }
 
+    /**
+     * A policy computed for each page, e.g. from environment config. It can
+     * return the policy directly or a promise of it.
+     */
+    type PolicyFn = (
+        htmlPluginData: HtmlPluginData,
+        compilation: any
+    ) => Policy | Promise<Policy>;
+
+    type MergeStrategy = 'replace' | 'append' | 'remove';
+
     // HtmlWebpackPlugin v3 and v4 use different hook interfaces. Figure out
     // which we're using and infer the generic type variable inside.
     type HtmlPluginData
@@ -81,7 +121,8 @@ declare namespace CspHtmlWebpackPlugin {
          */
         integrityEnabled?: boolean | undefined;
         /**
-         * Enable or disable custom PrimeReact NONCE value added to the environment for inline styles.
+         * Give PrimeReact the style nonce at runtime, the same as adding
+         * 'primereact' to cssInJs.
          * @default true
          */
         primeReactEnabled?: boolean | undefined;
@@ -97,21 +138,406 @@ declare namespace CspHtmlWebpackPlugin {
         hashingMethod?: 'sha256' | 'sha384' | 'sha512' | undefined;
         /**
          * A `<string, boolean>` entry for which policy rules are allowed to
-         * include hashes.
+         * include hashes. The -elem and -attr variants of script-src and
+         * style-src use the setting of the directive they fall back to unless
+         * they have their own.
          */
         hashEnabled?: { [directive: string]: boolean } | undefined;
         /**
          * A `<string, boolean>` entry for which policy rules are allowed to
-         * include nonces.
+         * include nonces. The -elem and -attr variants of script-src and
+         * style-src use the setting of the directive they fall back to unless
+         * they have their own.
          */
         nonceEnabled?: { [directive: string]: boolean } | undefined;
+        /**
+         * `'random'` creates a random nonce for every element at build time.
+         * `'placeholder'` writes the `noncePlaceholder` into every nonce
+         * attribute and nonce source instead, so the server can substitute a
+         * fresh nonce into every response.
+         * @default 'random'
+         */
+        nonceMode?: 'random' | 'placeholder' | undefined;
+        /**
+         * The token written instead of a nonce in placeholder mode. Either a
+         * string, or the name of one of the template engine syntaxes in
+         * `CspHtmlWebpackPlugin.noncePlaceholders`.
+         * @default '__CSP_NONCE__'
+         */
+        noncePlaceholder?: NoncePlaceholderName | string | undefined;
+        /**
+         * Allows the developer to overwrite the default method of what happens
+         * to the CSP after it has been created.
+         */
+        processFn?: ProcessFn | undefined;
+        /**
+         * A policy to trial alongside the enforced one. It goes through the
+         * same hashing and nonce process, but is only delivered as a
+         * `Content-Security-Policy-Report-Only` header, since browsers ignore
+         * report-only policies in meta tags.
+         * @default null
+         */
+        reportOnlyPolicy?: Policy | null | undefined;
+        /**
+         * Header config files to emit alongside the html. Every
+         * HtmlWebpackPlugin page is merged into one file per output.
+         * @default []
+         */
+        outputs?: Array<OutputType | Output> | undefined;
+        /**
+         * Emit a JSON manifest with the policy, built policy, hashes and
+         * nonces of every html file.
+         * @default false
+         */
+        manifestEnabled?: boolean | undefined;
+        /**
+         * The filename of the CSP manifest, relative to the webpack output
+         * path.
+         * @default 'csp-manifest.json'
+         */
+        manifestFilename?: string | undefined;
+        /**
+         * Directives which are accepted without an error or warning, even if
+         * they are experimental or unknown to the plugin.
+         * @default []
+         */
+        experimentalDirectives?: string[] | undefined;
+        /**
+         * Flag weaknesses in the final policy of each html file. true warns
+         * about every rule, while an object sets the level of each rule, with
+         * any rule left out being a warning.
+         * @default false
+         */
+        lint?: boolean | { [rule in LintRule]?: LintLevel } | undefined;
+        /**
+         * A named policy, with the hash and nonce settings it needs, which
+         * the policy and options are layered on top of instead of the
+         * default policy.
+         * @default null
+         */
+        preset?: PresetName | null | undefined;
+        /**
+         * How each directive is combined with the same directive from the
+         * policy it's layered on top of (the default policy or preset, then
+         * the plugin policy). Directives not listed are replaced.
+         * @default {}
+         */
+        mergeStrategy?: { [directive: string]: MergeStrategy } | undefined;
+        /**
+         * Third party services whose sources are added to the policy, from
+         * our catalogue or integrationPacks.
+         * @default []
+         */
+        integrations?: Array<IntegrationName | string> | undefined;
+        /**
+         * Integrations of your own, keyed by the name to use in integrations.
+         * @default {}
+         */
+        integrationPacks?: { [name: string]: Integration } | undefined;
+        /**
+         * Add the sources webpack-dev-server needs (the HMR websocket,
+         * 'unsafe-eval' for eval devtools and 'unsafe-inline' for
+         * style-loader) when it's detected.
+         * @default true
+         */
+        devServerEnabled?: boolean | undefined;
+        /**
+         * Serve the policy of each html file as a header from
+         * webpack-dev-server, through devServer.setupMiddlewares.
+         * @default false
+         */
+        devServerHeaders?: boolean | undefined;
+        /**
+         * Allow inline event handlers and style attributes by adding their
+         * hashes with 'unsafe-hashes' to script-src-attr / style-src-attr,
+         * or the directives they fall back to.
+         * @default false
+         */
+        unsafeHashesEnabled?: boolean | undefined;
+        /**
+         * Allow external scripts by the hashes in their integrity attribute
+         * instead of a nonce, for static hosting where nonces can't change
+         * between responses.
+         * @default false
+         */
+        integrityHashEnabled?: boolean | undefined;
+        /**
+         * The endpoints violations are reported to, which are written into
+         * report-uri / report-to and the Reporting-Endpoints header.
+         * @default null
+         */
+        reporting?: Reporting | null | undefined;
+        /**
+         * Add the external origins the html loads images, media, frames,
+         * manifests, forms and its base url from, the origins and schemes
+         * the emitted stylesheets load fonts, images and other stylesheets
+         * from, and the origins the code connects to, to the directives
+         * governing them.
+         * @default false
+         */
+        autoDiscover?: boolean | AutoDiscover | undefined;
+        /**
+         * Check the eval, new Function, string timers and WebAssembly
+         * compilation used by the modules of each page against its
+         * script-src, erroring when it isn't allowed and warning when
+         * 'unsafe-eval' or 'wasm-unsafe-eval' is allowed but not needed.
+         * @default false
+         */
+        evalCheckEnabled?: boolean | undefined;
+        /**
+         * Add worker-src for the web workers each page starts, and give
+         * the worker scripts the headers of their page in the outputs and
+         * from webpack-dev-server.
+         * @default true
+         */
+        workersEnabled?: boolean | undefined;
+        /**
+         * Write a nonce for script-src and style-src into a
+         * <meta name="csp-nonce"> tag, and inject a module which sets
+         * __webpack_nonce__ from it, so the chunks and styles webpack
+         * inserts at runtime get the nonce.
+         * @default false
+         */
+        webpackNonceEnabled?: boolean | undefined;
+        /**
+         * The CSS-in-JS libraries to give a style-src nonce at runtime,
+         * through the <meta name="csp-nonce"> tag the nonce is read from.
+         * The nonce is created for each build, or is the nonce placeholder
+         * in placeholder mode.
+         * @default []
+         */
+        cssInJs?: CssInJsAdapterName[] | undefined;
+    }
+
+    /**
+     * The element a hash or nonce was generated for.
+     */
+    interface ManifestElement {
+        tagName: string;
+        /** The index of the element amongst those matched for the directive */
+        index: number;
+        /** The first 50 characters of the hashed content */
+        content?: string | undefined;
+        /** The src or href of the element the nonce was added to */
+        src?: string | null | undefined;
+        /** The event handler or style attribute which was hashed */
+        attribute?: string | undefined;
+    }
+
+    interface DiscoveredSource {
+        directive: string;
+        /** The origin or scheme added to the directive */
+        source: string;
+        /** The element the url was found on, for urls found in the html */
+        element?: {
+            tagName: string;
+            attribute: string;
+            /** The url the origin was found in */
+            url: string;
+        } | undefined;
+        /** The stylesheet the url was found in, for urls found in the css */
+        stylesheet?: {
+            /** The filename of the emitted stylesheet */
+            filename: string;
+            /** The first 50 characters of the url */
+            url: string;
+        } | undefined;
+        /** The module the url was found in, for urls found in the code */
+        module?: {
+            name: string;
+            /** What the url is used with, e.g. fetch */
+            api: string;
+            /** The url, or the start of it webpack could work out */
+            url: string;
+        } | undefined;
+    }
+
+    interface ManifestSource {
+        directive: string;
+        source: string;
+        element: ManifestElement;
+    }
+
+    /**
+     * An entry of the CSP manifest, which is keyed by html file.
+     */
+    interface ManifestEntry {
+        policy: Policy;
+        /** The policy written into the meta tag */
+        builtPolicy: string;
+        reportOnlyPolicy: Policy | null;
+        headers: Headers;
+        /** The token written instead of nonces, when in placeholder mode */
+        noncePlaceholder: string | null;
+        hashes: ManifestSource[];
+        nonces: ManifestSource[];
+        /** The origins added by autoDiscover */
+        discovered?: DiscoveredSource[] | undefined;
+        /** The origins autoDiscover found in the code, in connect suggest mode */
+        suggested?: DiscoveredSource[] | undefined;
+        /** The worker scripts the page starts */
+        workers?: string[] | undefined;
+    }
+
+    type Manifest = { [htmlFile: string]: ManifestEntry };
+
+    type ProcessFn = (
+        builtPolicy: string,
+        htmlPluginData: HtmlPluginData,
+        $: any,
+        compilation: any,
+        headers: Headers
+    ) => void;
+
+    /**
+     * The response headers for an html file, e.g. `Content-Security-Policy`
+     * and `Content-Security-Policy-Report-Only`.
+     */
+    interface Headers {
+        [name: string]: string;
+    }
+
+    type NoncePlaceholderName = 'ejs' | 'handlebars' | 'jsp';
+
+    /**
+     * The header config file formats which can be emitted.
+     */
+    type OutputType =
+        | 'nginx'
+        | 'apache'
+        | 'netlify'
+        | 'vercel'
+        | 'firebase'
+        | 'cloudflare';
+
+    interface Output {
+        type: OutputType;
+        /**
+         * The filename to emit the output as, relative to the webpack output
+         * path. Defaults to the usual filename for the output type.
+         */
+        filename?: string | undefined;
+    }
+
+    /**
+     * The rules checked by the lint option.
+     */
+    type LintRule =
+        | 'script-src-wildcard'
+        | 'script-src-scheme'
+        | 'missing-object-src'
+        | 'missing-base-uri'
+        | 'unsafe-inline'
+        | 'bypass-host'
+        | 'meaningless-source';
+
+    type LintLevel = 'off' | 'warn' | 'error';
+
+    type IntegrationName =
+        | 'google-analytics'
+        | 'google-tag-manager'
+        | 'stripe'
+        | 'sentry'
+        | 'google-fonts'
+        | 'youtube'
+        | 'recaptcha';
+
+    interface Integration {
+        /**
+         * When the sources were last checked.
+         */
+        version?: string | undefined;
+        /**
+         * Where the sources are documented.
+         */
+        docs?: string | undefined;
+        /**
+         * The sources to add to the policy.
+         */
+        policy: Policy;
+    }
+
+    type CssInJsAdapterName =
+        | 'primereact'
+        | 'styled-components'
+        | 'emotion'
+        | 'mui'
+        | 'jss';
+
+    interface CssInJsAdapter {
+        /**
+         * Where the nonce api of the library is documented.
+         */
+        docs: string;
+        /**
+         * The expressions the library reads the nonce from, which are
+         * replaced to read the meta tag.
+         */
+        definitions?: string[] | undefined;
+        /**
+         * Whether the library uses __webpack_nonce__, which is then set
+         * from the meta tag.
+         */
+        webpackNonce?: boolean | undefined;
+        /**
+         * Whether the library reads the content attribute of the meta tag,
+         * so the nonce is written there too.
+         */
+        content?: boolean | undefined;
+    }
+
+    interface AutoDiscover {
+        /**
+         * Look through the html for the urls its elements load from.
+         * @default false
+         */
+        html?: boolean | undefined;
+        /**
+         * Look through the stylesheets webpack emitted for the page for
+         * their url() and @import urls.
+         * @default false
+         */
+        css?: boolean | undefined;
+        /**
+         * Look through the code for the urls given to fetch,
+         * XMLHttpRequest, WebSocket, EventSource and
+         * navigator.sendBeacon. 'suggest' only warns about the origins
+         * connect-src doesn't allow, rather than adding them.
+         * @default false
+         */
+        connect?: boolean | 'suggest' | undefined;
+    }
+
+    interface Reporting {
+        /**
+         * The url of each endpoint, keyed by the name report-to uses.
+         */
+        endpoints: { [name: string]: string };
+        /**
+         * The endpoint the policy reports to, which defaults to the first one.
+         */
+        group?: string | undefined;
+        /**
+         * Add 'report-sample' to script-src and style-src, or to the
+         * directives given.
+         * @default false
+         */
+        reportSample?: boolean | { [directive: string]: boolean } | undefined;
+    }
+
+    type PresetName = 'strict' | 'strict-hash' | 'lax' | 'legacy';
+
+    interface Preset {
+        policy: Policy;
+        hashEnabled: { [directive: string]: boolean };
+        nonceEnabled: { [directive: string]: boolean };
     }
 }
 
 declare module 'html-webpack-plugin' {
     interface Options {
         cspPlugin?: CspHtmlWebpackPlugin.AdditionalOptions & {
-            policy?: CspHtmlWebpackPlugin.Policy | undefined
+            policy?: CspHtmlWebpackPlugin.Policy | CspHtmlWebpackPlugin.PolicyFn | undefined
         } | undefined;
     }
 }
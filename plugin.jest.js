@@ -1,10 +1,14 @@
 const path = require('path');
 const crypto = require('crypto');
+const webpack = require('webpack');
 const HtmlWebpackPlugin = require('html-webpack-plugin');
+const MiniCssExtractPlugin = require('mini-css-extract-plugin');
 const { RawSource } = require('webpack-sources');
+const { registry } = require('webpack-inject-plugin');
 const {
   WEBPACK_OUTPUT_DIR,
   createWebpackConfig,
+  createCspWebpackConfig,
   webpackCompile,
 } = require('./test-utils/webpack-helpers');
 const CspHtmlWebpackPlugin = require('./plugin');
@@ -136,6 +140,183 @@ describe('CspHtmlWebpackPlugin', () => {
           );
         });
       });
+
+      [
+        {
+          policy: { 'scirpt-src': "'self'" },
+          error:
+            'CSP: scirpt-src is not a valid directive, did you mean script-src?',
+        },
+        {
+          policy: { 'made-up-src': "'self'" },
+          error: 'CSP: made-up-src is not a valid directive',
+        },
+        {
+          policy: { 'font-src': "'https://a-slack-edge.com'" },
+          error:
+            "CSP: policy for font-src contains 'https://a-slack-edge.com' which is not a valid source expression",
+        },
+        {
+          policy: { 'script-src': "'sha256-tooshort='" },
+          error:
+            "CSP: policy for script-src contains 'sha256-tooshort=' which is not a valid source expression",
+        },
+        {
+          policy: { 'script-src': "'nonce-abc!'" },
+          error:
+            "CSP: policy for script-src contains 'nonce-abc!' which is not a valid source expression",
+        },
+        {
+          policy: { 'frame-ancestors': "'unsafe-inline'" },
+          error:
+            "CSP: policy for frame-ancestors contains 'unsafe-inline' which is not a valid source expression",
+        },
+        {
+          policy: { sandbox: "'self'" },
+          error: expect.stringContaining(
+            "CSP: policy for sandbox contains 'self' which is not one of allow-downloads"
+          ),
+        },
+        {
+          policy: { 'upgrade-insecure-requests': "'self'" },
+          error: 'CSP: upgrade-insecure-requests does not take a value',
+        },
+        {
+          policy: { 'report-to': ['group-a', 'group-b'] },
+          error: 'CSP: policy for report-to should be a single token',
+        },
+      ].forEach(({ policy, error }) => {
+        it(`throws an error for the invalid policy ${JSON.stringify(
+          policy
+        )}`, (done) => {
+          const config = createWebpackConfig([
+            new HtmlWebpackPlugin({
+              filename: path.join(WEBPACK_OUTPUT_DIR, 'index.html'),
+              template: path.join(
+                __dirname,
+                'test-utils',
+                'fixtures',
+                'with-nothing.html'
+              ),
+            }),
+            new CspHtmlWebpackPlugin(policy, testOptions),
+          ]);
+
+          webpackCompile(
+            config,
+            (_1, _2, _3, errors) => {
+              expect(errors.map(({ message }) => message)).toEqual([error]);
+              done();
+            },
+            {
+              expectError: true,
+            }
+          );
+        });
+      });
+
+      it('accepts a policy using every kind of valid source expression', (done) => {
+        const config = createWebpackConfig([
+          new HtmlWebpackPlugin({
+            filename: path.join(WEBPACK_OUTPUT_DIR, 'index.html'),
+            template: path.join(
+              __dirname,
+              'test-utils',
+              'fixtures',
+              'with-nothing.html'
+            ),
+          }),
+          new CspHtmlWebpackPlugin(
+            {
+              'script-src': [
+                "'self'",
+                "'wasm-unsafe-eval'",
+                "'report-sample'",
+                "'nonce-abc123+/_-=='",
+                "'sha256-47DEQpj8HBSa+/TImW+5JCeuQeRkm5NMpJWZG3hSuFU='",
+                'https:',
+                'https://*.example.com:*/path/',
+                'localhost:8080',
+              ],
+              'frame-ancestors': ["'self'", 'https://example.com'],
+              sandbox: ['allow-scripts', 'allow-forms'],
+              'upgrade-insecure-requests': '',
+              'report-to': 'csp-endpoint',
+              'trusted-types': ['default', "'allow-duplicates'"],
+            },
+            { ...testOptions, outputs: ['nginx'] }
+          ),
+        ]);
+
+        webpackCompile(config, () => {
+          done();
+        });
+      });
+
+      it('warns about deprecated and experimental directives, and combining none with other sources', (done) => {
+        const config = createWebpackConfig([
+          new HtmlWebpackPlugin({
+            filename: path.join(WEBPACK_OUTPUT_DIR, 'index.html'),
+            template: path.join(
+              __dirname,
+              'test-utils',
+              'fixtures',
+              'with-nothing.html'
+            ),
+          }),
+          new CspHtmlWebpackPlugin(
+            {
+              'block-all-mixed-content': '',
+              'fenced-frame-src': "'self'",
+              'img-src': ["'none'", "'self'"],
+            },
+            testOptions
+          ),
+        ]);
+
+        webpackCompile(
+          config,
+          (_1, _2, _3, errors, warnings) => {
+            expect(warnings.map(({ message }) => message)).toEqual([
+              'CSP: block-all-mixed-content is deprecated and should be removed from the policy',
+              'CSP: fenced-frame-src is experimental, add it to experimentalDirectives to use it without a warning',
+              "CSP: policy for img-src contains 'none' which is ignored when combined with other sources",
+            ]);
+            done();
+          },
+          {
+            allowWarnings: true,
+          }
+        );
+      });
+
+      it('accepts directives listed in experimentalDirectives without a warning', (done) => {
+        const config = createWebpackConfig([
+          new HtmlWebpackPlugin({
+            filename: path.join(WEBPACK_OUTPUT_DIR, 'index.html'),
+            template: path.join(
+              __dirname,
+              'test-utils',
+              'fixtures',
+              'with-nothing.html'
+            ),
+          }),
+          new CspHtmlWebpackPlugin(
+            {
+              'fenced-frame-src': "'self'",
+              'brand-new-src': "'self'",
+            },
+            {
+              ...testOptions,
+              experimentalDirectives: ['fenced-frame-src', 'brand-new-src'],
+            }
+          ),
+        ]);
+
+        webpackCompile(config, () => {
+          done();
+        });
+      });
     });
   });
 
@@ -180,7 +361,7 @@ describe('CspHtmlWebpackPlugin', () => {
         new CspHtmlWebpackPlugin(
           {
             'base-uri': ["'self'", 'https://slack.com'],
-            'font-src': ["'self'", "'https://a-slack-edge.com'"],
+            'font-src': ["'self'", 'https://a-slack-edge.com'],
             'script-src': ["'self'"],
             'style-src': ["'self'"],
             'connect-src': ["'self'"],
@@ -195,7 +376,7 @@ describe('CspHtmlWebpackPlugin', () => {
           " object-src 'none';" +
           " script-src 'self' 'nonce-mockedbase64string-1';" +
           " style-src 'self' 'nonce-primereact-nonce';" +
-          " font-src 'self' 'https://a-slack-edge.com';" +
+          " font-src 'self' https://a-slack-edge.com;" +
           " connect-src 'self'";
 
         expect(csps['index.html']).toEqual(expected);
@@ -361,7 +542,7 @@ describe('CspHtmlWebpackPlugin', () => {
             cspPlugin: {
               policy: {
                 'base-uri': ["'self'", 'https://slack.com'],
-                'font-src': ["'self'", "'https://a-slack-edge.com'"],
+                'font-src': ["'self'", 'https://a-slack-edge.com'],
                 'script-src': ["'self'"],
                 'style-src': ["'self'"],
                 'connect-src': ["'self'"],
@@ -377,7 +558,7 @@ describe('CspHtmlWebpackPlugin', () => {
             " object-src 'none';" +
             " script-src 'self' 'nonce-mockedbase64string-1';" +
             " style-src 'self' 'nonce-primereact-nonce';" +
-            " font-src 'self' 'https://a-slack-edge.com';" +
+            " font-src 'self' https://a-slack-edge.com;" +
             " connect-src 'self'";
 
           expect(csps['index.html']).toEqual(expected);
@@ -398,8 +579,8 @@ describe('CspHtmlWebpackPlugin', () => {
             cspPlugin: {
               policy: {
                 'font-src': [
-                  "'https://a-slack-edge.com'",
-                  "'https://b-slack-edge.com'",
+                  'https://a-slack-edge.com',
+                  'https://b-slack-edge.com',
                 ],
               },
             },
@@ -419,7 +600,7 @@ describe('CspHtmlWebpackPlugin', () => {
             " object-src 'none';" + // this comes from the default policy
             " script-src 'unsafe-inline' 'self' 'unsafe-eval' 'nonce-mockedbase64string-1';" + // this comes from the default policy
             " style-src 'unsafe-inline' 'self' 'unsafe-eval' 'nonce-primereact-nonce';" + // this comes from the default policy
-            " font-src 'https://a-slack-edge.com' 'https://b-slack-edge.com'"; // this should only include the HtmlWebpackPlugin instance policy
+            ' font-src https://a-slack-edge.com https://b-slack-edge.com'; // this should only include the HtmlWebpackPlugin instance policy
 
           expect(csps['index.html']).toEqual(expected);
           done();
@@ -438,8 +619,8 @@ describe('CspHtmlWebpackPlugin', () => {
             ),
             cspPlugin: {
               policy: {
-                'script-src': ["'https://a-slack-edge.com'"],
-                'style-src': ["'https://b-slack-edge.com'"],
+                'script-src': ['https://a-slack-edge.com'],
+                'style-src': ['https://b-slack-edge.com'],
               },
             },
           }),
@@ -459,8 +640,8 @@ describe('CspHtmlWebpackPlugin', () => {
           const expectedCustom =
             "base-uri 'self';" +
             " object-src 'none';" +
-            " script-src 'https://a-slack-edge.com' 'nonce-mockedbase64string-1';" +
-            " style-src 'https://b-slack-edge.com' 'nonce-primereact-nonce'";
+            " script-src https://a-slack-edge.com 'nonce-mockedbase64string-1';" +
+            " style-src https://b-slack-edge.com 'nonce-primereact-nonce'";
 
           const expectedDefault =
             "base-uri 'self';" +
@@ -791,7 +972,7 @@ describe('CspHtmlWebpackPlugin', () => {
       webpackCompile(config, (csps, selectors) => {
         expect(csps['index-enabled.html']).toBeDefined();
         expect(csps['index-disabled.html']).toBeUndefined();
-        expect(selectors['index-enabled.html']('meta').length).toEqual(2);
+        expect(selectors['index-enabled.html']('meta').length).toEqual(3);
         expect(selectors['index-disabled.html']('meta').length).toEqual(1);
         done();
       });
@@ -932,7 +1113,8 @@ describe('CspHtmlWebpackPlugin', () => {
           builtPolicy,
           expect.anything(),
           expect.anything(),
-          expect.anything()
+          expect.anything(),
+          { 'Content-Security-Policy': builtPolicy }
         );
 
         done();
@@ -980,7 +1162,8 @@ describe('CspHtmlWebpackPlugin', () => {
           index1BuiltPolicy,
           expect.anything(),
           expect.anything(),
-          expect.anything()
+          expect.anything(),
+          { 'Content-Security-Policy': index1BuiltPolicy }
         );
 
         done();
@@ -1033,6 +1216,2821 @@ describe('CspHtmlWebpackPlugin', () => {
     });
   });
 
+  describe('Header outputs', () => {
+    const defaultBuiltPolicy = (nonce) =>
+      `base-uri 'self'; object-src 'none'; script-src 'unsafe-inline' 'self' 'unsafe-eval' 'nonce-${nonce}'; style-src 'unsafe-inline' 'self' 'unsafe-eval' 'nonce-primereact-nonce'`;
+
+    it('throws an error if an invalid output is used', () => {
+      expect(() => {
+        // eslint-disable-next-line no-new
+        new CspHtmlWebpackPlugin(
+          {},
+          {
+            outputs: ['invalid'],
+          }
+        );
+      }).toThrow(new Error(`'invalid' is not a valid output`));
+    });
+
+    it('emits an nginx include file while still adding the policy to the meta tag', (done) => {
+      const config = createWebpackConfig([
+        new HtmlWebpackPlugin({
+          filename: path.join(WEBPACK_OUTPUT_DIR, 'index.html'),
+          template: path.join(
+            __dirname,
+            'test-utils',
+            'fixtures',
+            'with-nothing.html'
+          ),
+        }),
+        new CspHtmlWebpackPlugin({}, { ...testOptions, outputs: ['nginx'] }),
+      ]);
+
+      webpackCompile(config, (csps, selectors, fileSystem) => {
+        const nginxConf = fileSystem
+          .readFileSync(
+            path.join(WEBPACK_OUTPUT_DIR, 'nginx-csp-header.conf'),
+            'utf8'
+          )
+          .toString();
+
+        expect(csps['index.html']).toEqual(
+          defaultBuiltPolicy('mockedbase64string-1')
+        );
+        expect(nginxConf).toEqual(
+          'location = /index.html {\n' +
+            `  add_header Content-Security-Policy "${defaultBuiltPolicy(
+              'mockedbase64string-1'
+            )}" always;\n` +
+            '}\n'
+        );
+        done();
+      });
+    });
+
+    it('merges every HtmlWebpackPlugin page into a single file per output, using the path of each html file', (done) => {
+      const config = createWebpackConfig([
+        new HtmlWebpackPlugin({
+          filename: path.join(WEBPACK_OUTPUT_DIR, 'index.html'),
+          template: path.join(
+            __dirname,
+            'test-utils',
+            'fixtures',
+            'with-nothing.html'
+          ),
+        }),
+        new HtmlWebpackPlugin({
+          filename: path.join(WEBPACK_OUTPUT_DIR, 'about', 'index.html'),
+          template: path.join(
+            __dirname,
+            'test-utils',
+            'fixtures',
+            'with-nothing.html'
+          ),
+        }),
+        new CspHtmlWebpackPlugin(
+          {},
+          {
+            ...testOptions,
+            outputs: ['netlify', 'cloudflare', 'vercel', 'firebase', 'apache'],
+          }
+        ),
+      ]);
+
+      webpackCompile(config, (csps, selectors, fileSystem) => {
+        const readOutput = (file) =>
+          fileSystem
+            .readFileSync(path.join(WEBPACK_OUTPUT_DIR, file), 'utf8')
+            .toString();
+        const indexPolicy = defaultBuiltPolicy('mockedbase64string-1');
+        const aboutPolicy = defaultBuiltPolicy('mockedbase64string-2');
+
+        // netlify and cloudflare share the same file
+        expect(readOutput('_headers')).toEqual(
+          `/\n  Content-Security-Policy: ${indexPolicy}\n` +
+            `/index.html\n  Content-Security-Policy: ${indexPolicy}\n` +
+            `/about/\n  Content-Security-Policy: ${aboutPolicy}\n` +
+            `/about/index.html\n  Content-Security-Policy: ${aboutPolicy}\n`
+        );
+
+        const vercelHeaders = JSON.parse(
+          readOutput('csp-headers.vercel.json')
+        ).headers;
+        expect(vercelHeaders.map(({ source }) => source)).toEqual([
+          '/',
+          '/index.html',
+          '/about/',
+          '/about/index.html',
+        ]);
+        expect(vercelHeaders[3].headers).toEqual([
+          { key: 'Content-Security-Policy', value: aboutPolicy },
+        ]);
+
+        expect(
+          JSON.parse(readOutput('csp-headers.firebase.json')).hosting.headers
+        ).toEqual(vercelHeaders);
+
+        expect(readOutput('.htaccess')).toEqual(
+          `<If "%{REQUEST_URI} in { '/', '/index.html' }">\n` +
+            `  Header set Content-Security-Policy "${indexPolicy}"\n` +
+            '</If>\n' +
+            `<If "%{REQUEST_URI} in { '/about/', '/about/index.html' }">\n` +
+            `  Header set Content-Security-Policy "${aboutPolicy}"\n` +
+            '</If>\n'
+        );
+        done();
+      });
+    });
+
+    it('allows the filename of an output to be overwritten', (done) => {
+      const config = createWebpackConfig([
+        new HtmlWebpackPlugin({
+          filename: path.join(WEBPACK_OUTPUT_DIR, 'index.html'),
+          template: path.join(
+            __dirname,
+            'test-utils',
+            'fixtures',
+            'with-nothing.html'
+          ),
+        }),
+        new CspHtmlWebpackPlugin(
+          {},
+          {
+            ...testOptions,
+            outputs: [{ type: 'nginx', filename: 'conf/csp.conf' }],
+          }
+        ),
+      ]);
+
+      webpackCompile(config, (csps, selectors, fileSystem) => {
+        expect(
+          fileSystem.existsSync(
+            path.join(WEBPACK_OUTPUT_DIR, 'conf', 'csp.conf')
+          )
+        ).toBe(true);
+        expect(
+          fileSystem.existsSync(
+            path.join(WEBPACK_OUTPUT_DIR, 'nginx-csp-header.conf')
+          )
+        ).toBe(false);
+        done();
+      });
+    });
+  });
+
+  describe('CSP manifest', () => {
+    it("doesn't emit a manifest by default", (done) => {
+      const config = createWebpackConfig([
+        new HtmlWebpackPlugin({
+          filename: path.join(WEBPACK_OUTPUT_DIR, 'index.html'),
+          template: path.join(
+            __dirname,
+            'test-utils',
+            'fixtures',
+            'with-nothing.html'
+          ),
+        }),
+        new CspHtmlWebpackPlugin({}, testOptions),
+      ]);
+
+      webpackCompile(config, (csps, selectors, fileSystem) => {
+        expect(
+          fileSystem.existsSync(
+            path.join(WEBPACK_OUTPUT_DIR, 'csp-manifest.json')
+          )
+        ).toBe(false);
+        done();
+      });
+    });
+
+    it('emits the policy, built policy, and the element each hash and nonce was created for', (done) => {
+      const config = createWebpackConfig([
+        new HtmlWebpackPlugin({
+          filename: path.join(WEBPACK_OUTPUT_DIR, 'index.html'),
+          template: path.join(
+            __dirname,
+            'test-utils',
+            'fixtures',
+            'with-script-and-style.html'
+          ),
+        }),
+        new CspHtmlWebpackPlugin(
+          { 'script-src': "'self'", 'style-src': "'self'" },
+          { ...testOptions, manifestEnabled: true }
+        ),
+      ]);
+
+      webpackCompile(config, (csps, selectors, fileSystem) => {
+        const manifest = JSON.parse(
+          fileSystem
+            .readFileSync(
+              path.join(WEBPACK_OUTPUT_DIR, 'csp-manifest.json'),
+              'utf8'
+            )
+            .toString()
+        );
+
+        expect(Object.keys(manifest)).toEqual(['index.html']);
+        expect(manifest['index.html'].builtPolicy).toEqual(csps['index.html']);
+        expect(manifest['index.html'].policy).toEqual({
+          'base-uri': "'self'",
+          'object-src': "'none'",
+          'script-src': [
+            "'self'",
+            "'sha384-I8j99RwEV9SFO6EKWmKLpw3VxsvfabPoUJPZMFL1WWGjVShwX4YDWuJfq5+077jO'",
+            "'nonce-mockedbase64string-1'",
+            "'nonce-mockedbase64string-2'",
+          ],
+          'style-src': [
+            "'self'",
+            "'sha384-3P+ddXxfmvvtbEUrdZKBMTjmKpirnUElgB2vlkVZ4l6LCQYHCIyFMLp+OKTIR6ob'",
+            "'nonce-mockedbase64string-3'",
+            "'nonce-primereact-nonce'",
+          ],
+        });
+        expect(manifest['index.html'].hashes).toEqual([
+          {
+            directive: 'script-src',
+            source:
+              "'sha384-I8j99RwEV9SFO6EKWmKLpw3VxsvfabPoUJPZMFL1WWGjVShwX4YDWuJfq5+077jO'",
+            element: {
+              tagName: 'script',
+              index: 0,
+              content: "window.test = {\n        prop: 'val'\n      };",
+            },
+          },
+          {
+            directive: 'style-src',
+            source:
+              "'sha384-3P+ddXxfmvvtbEUrdZKBMTjmKpirnUElgB2vlkVZ4l6LCQYHCIyFMLp+OKTIR6ob'",
+            element: {
+              tagName: 'style',
+              index: 0,
+              content: expect.stringMatching(
+                /^body {\s+background-color: #e6e6e6;/
+              ),
+            },
+          },
+        ]);
+        expect(manifest['index.html'].nonces).toEqual([
+          {
+            directive: 'style-src',
+            source: "'nonce-primereact-nonce'",
+            element: { tagName: 'meta', index: 0, src: null },
+          },
+          {
+            directive: 'script-src',
+            source: "'nonce-mockedbase64string-1'",
+            element: {
+              tagName: 'script',
+              index: 0,
+              src: 'https://example.com/example.js',
+            },
+          },
+          {
+            directive: 'script-src',
+            source: "'nonce-mockedbase64string-2'",
+            element: { tagName: 'script', index: 1, src: 'index.bundle.js' },
+          },
+          {
+            directive: 'style-src',
+            source: "'nonce-mockedbase64string-3'",
+            element: {
+              tagName: 'link',
+              index: 0,
+              src: 'https://example.com/example.css',
+            },
+          },
+        ]);
+        done();
+      });
+    });
+
+    it('adds an entry for every HtmlWebpackPlugin page into a single manifest with a custom filename', (done) => {
+      const config = createWebpackConfig([
+        new HtmlWebpackPlugin({
+          filename: path.join(WEBPACK_OUTPUT_DIR, 'index-1.html'),
+          template: path.join(
+            __dirname,
+            'test-utils',
+            'fixtures',
+            'with-nothing.html'
+          ),
+        }),
+        new HtmlWebpackPlugin({
+          filename: path.join(WEBPACK_OUTPUT_DIR, 'index-2.html'),
+          template: path.join(
+            __dirname,
+            'test-utils',
+            'fixtures',
+            'with-nothing.html'
+          ),
+        }),
+        new CspHtmlWebpackPlugin(
+          {},
+          {
+            ...testOptions,
+            manifestEnabled: true,
+            manifestFilename: 'csp.json',
+          }
+        ),
+      ]);
+
+      webpackCompile(config, (csps, selectors, fileSystem) => {
+        const manifest = JSON.parse(
+          fileSystem
+            .readFileSync(path.join(WEBPACK_OUTPUT_DIR, 'csp.json'), 'utf8')
+            .toString()
+        );
+
+        expect(manifest['index-1.html'].builtPolicy).toEqual(
+          csps['index-1.html']
+        );
+        expect(manifest['index-2.html'].builtPolicy).toEqual(
+          csps['index-2.html']
+        );
+        done();
+      });
+    });
+  });
+
+  describe('Report-only policy', () => {
+    it('adds hashes and nonces to the report-only policy and delivers it in the header outputs, leaving the enforced policy in the meta tag', (done) => {
+      const config = createWebpackConfig([
+        new HtmlWebpackPlugin({
+          filename: path.join(WEBPACK_OUTPUT_DIR, 'index.html'),
+          template: path.join(
+            __dirname,
+            'test-utils',
+            'fixtures',
+            'with-script-and-style.html'
+          ),
+        }),
+        new CspHtmlWebpackPlugin(
+          {},
+          {
+            ...testOptions,
+            reportOnlyPolicy: {
+              'default-src': "'self'",
+              'script-src': ["'strict-dynamic'"],
+              'object-src': "'none'",
+            },
+            outputs: ['netlify'],
+          }
+        ),
+      ]);
+
+      webpackCompile(config, (csps, selectors, fileSystem) => {
+        const enforced =
+          "base-uri 'self';" +
+          " object-src 'none';" +
+          " script-src 'unsafe-inline' 'self' 'unsafe-eval' 'sha384-I8j99RwEV9SFO6EKWmKLpw3VxsvfabPoUJPZMFL1WWGjVShwX4YDWuJfq5+077jO' 'nonce-mockedbase64string-1' 'nonce-mockedbase64string-2';" +
+          " style-src 'unsafe-inline' 'self' 'unsafe-eval' 'sha384-3P+ddXxfmvvtbEUrdZKBMTjmKpirnUElgB2vlkVZ4l6LCQYHCIyFMLp+OKTIR6ob' 'nonce-mockedbase64string-3' 'nonce-primereact-nonce'";
+
+        // style-src isn't defined, so it's created from default-src so it isn't restricted any further
+        const reportOnly =
+          "default-src 'self';" +
+          " script-src 'sha384-I8j99RwEV9SFO6EKWmKLpw3VxsvfabPoUJPZMFL1WWGjVShwX4YDWuJfq5+077jO' 'nonce-mockedbase64string-1' 'nonce-mockedbase64string-2' 'strict-dynamic';" +
+          " object-src 'none';" +
+          " style-src 'self' 'sha384-3P+ddXxfmvvtbEUrdZKBMTjmKpirnUElgB2vlkVZ4l6LCQYHCIyFMLp+OKTIR6ob' 'nonce-mockedbase64string-3' 'nonce-primereact-nonce'";
+
+        expect(csps['index.html']).toEqual(enforced);
+        expect(
+          fileSystem
+            .readFileSync(path.join(WEBPACK_OUTPUT_DIR, '_headers'), 'utf8')
+            .toString()
+        ).toContain(
+          `/index.html\n  Content-Security-Policy: ${enforced}\n  Content-Security-Policy-Report-Only: ${reportOnly}\n`
+        );
+        done();
+      });
+    });
+
+    it('passes the report-only policy of a specific HtmlWebpackPlugin instance to the processFn', (done) => {
+      const processFn = jest.fn();
+      const config = createWebpackConfig([
+        new HtmlWebpackPlugin({
+          filename: path.join(WEBPACK_OUTPUT_DIR, 'index-1.html'),
+          template: path.join(
+            __dirname,
+            'test-utils',
+            'fixtures',
+            'with-nothing.html'
+          ),
+          cspPlugin: {
+            reportOnlyPolicy: {
+              'script-src': "'self'",
+            },
+          },
+        }),
+        new HtmlWebpackPlugin({
+          filename: path.join(WEBPACK_OUTPUT_DIR, 'index-2.html'),
+          template: path.join(
+            __dirname,
+            'test-utils',
+            'fixtures',
+            'with-nothing.html'
+          ),
+        }),
+        new CspHtmlWebpackPlugin({}, { ...testOptions, processFn }),
+      ]);
+
+      webpackCompile(config, () => {
+        expect(processFn).toHaveBeenCalledTimes(2);
+        expect(processFn.mock.calls[0][4]).toEqual({
+          'Content-Security-Policy':
+            "base-uri 'self'; object-src 'none'; script-src 'unsafe-inline' 'self' 'unsafe-eval' 'nonce-mockedbase64string-1'; style-src 'unsafe-inline' 'self' 'unsafe-eval' 'nonce-primereact-nonce'",
+          'Content-Security-Policy-Report-Only':
+            "script-src 'self' 'nonce-mockedbase64string-1'",
+        });
+        expect(
+          processFn.mock.calls[1][4]['Content-Security-Policy-Report-Only']
+        ).toBeUndefined();
+        done();
+      });
+    });
+
+    it('warns when the report-only policy can only end up in the meta tag', (done) => {
+      const config = createWebpackConfig([
+        new HtmlWebpackPlugin({
+          filename: path.join(WEBPACK_OUTPUT_DIR, 'index.html'),
+          template: path.join(
+            __dirname,
+            'test-utils',
+            'fixtures',
+            'with-nothing.html'
+          ),
+        }),
+        new CspHtmlWebpackPlugin(
+          {},
+          {
+            ...testOptions,
+            reportOnlyPolicy: { 'script-src': "'self'" },
+          }
+        ),
+      ]);
+
+      webpackCompile(
+        config,
+        (csps, selectors, fileSystem, errors, warnings) => {
+          expect(warnings).toEqual([
+            new Error(
+              'CSP: the report-only policy for index.html can only be delivered in a header, configure outputs or a processFn to send it'
+            ),
+          ]);
+          done();
+        },
+        { allowWarnings: true }
+      );
+    });
+  });
+
+  describe('Header-only directives', () => {
+    const headerOnlyPolicy = {
+      'script-src': "'self'",
+      'style-src': "'self'",
+      'frame-ancestors': "'none'",
+      'report-uri': '/csp-report',
+    };
+
+    it('removes directives browsers ignore in a meta tag from it, and warns that they need to be sent in a header', (done) => {
+      const config = createWebpackConfig([
+        new HtmlWebpackPlugin({
+          filename: path.join(WEBPACK_OUTPUT_DIR, 'index.html'),
+          template: path.join(
+            __dirname,
+            'test-utils',
+            'fixtures',
+            'with-nothing.html'
+          ),
+        }),
+        new CspHtmlWebpackPlugin(headerOnlyPolicy, testOptions),
+      ]);
+
+      webpackCompile(
+        config,
+        (csps, selectors, fileSystem, errors, warnings) => {
+          expect(csps['index.html']).toEqual(
+            "base-uri 'self'; object-src 'none'; script-src 'self' 'nonce-mockedbase64string-1'; style-src 'self' 'nonce-primereact-nonce'"
+          );
+          expect(warnings).toEqual([
+            new Error(
+              'CSP: frame-ancestors, report-uri in the policy for index.html are ignored by browsers in a meta tag, so have been removed from it; configure outputs or a processFn to send them in a header'
+            ),
+          ]);
+          done();
+        },
+        { allowWarnings: true }
+      );
+    });
+
+    it('keeps the directives in the header policy of the outputs without warning', (done) => {
+      const config = createWebpackConfig([
+        new HtmlWebpackPlugin({
+          filename: path.join(WEBPACK_OUTPUT_DIR, 'index.html'),
+          template: path.join(
+            __dirname,
+            'test-utils',
+            'fixtures',
+            'with-nothing.html'
+          ),
+        }),
+        new CspHtmlWebpackPlugin(headerOnlyPolicy, {
+          ...testOptions,
+          outputs: ['nginx'],
+        }),
+      ]);
+
+      webpackCompile(config, (csps, selectors, fileSystem) => {
+        expect(csps['index.html']).not.toContain('frame-ancestors');
+        expect(
+          fileSystem
+            .readFileSync(
+              path.join(WEBPACK_OUTPUT_DIR, 'nginx-csp-header.conf'),
+              'utf8'
+            )
+            .toString()
+        ).toContain(
+          `add_header Content-Security-Policy "base-uri 'self'; object-src 'none'; script-src 'self' 'nonce-mockedbase64string-1'; style-src 'self' 'nonce-primereact-nonce'; frame-ancestors 'none'; report-uri /csp-report" always;`
+        );
+        done();
+      });
+    });
+
+    it('passes the complete policy to a custom processFn, without warning', (done) => {
+      const processFn = jest.fn();
+      const config = createWebpackConfig([
+        new HtmlWebpackPlugin({
+          filename: path.join(WEBPACK_OUTPUT_DIR, 'index.html'),
+          template: path.join(
+            __dirname,
+            'test-utils',
+            'fixtures',
+            'with-nothing.html'
+          ),
+        }),
+        new CspHtmlWebpackPlugin(headerOnlyPolicy, {
+          ...testOptions,
+          processFn,
+        }),
+      ]);
+
+      webpackCompile(config, () => {
+        expect(processFn).toHaveBeenCalledWith(
+          "base-uri 'self'; object-src 'none'; script-src 'self' 'nonce-mockedbase64string-1'; style-src 'self' 'nonce-primereact-nonce'; frame-ancestors 'none'; report-uri /csp-report",
+          expect.anything(),
+          expect.anything(),
+          expect.anything(),
+          {
+            'Content-Security-Policy':
+              "base-uri 'self'; object-src 'none'; script-src 'self' 'nonce-mockedbase64string-1'; style-src 'self' 'nonce-primereact-nonce'; frame-ancestors 'none'; report-uri /csp-report",
+          }
+        );
+        done();
+      });
+    });
+  });
+
+  describe('Nonce placeholders', () => {
+    it('throws an error if an invalid nonce mode is used', () => {
+      expect(() => {
+        // eslint-disable-next-line no-new
+        new CspHtmlWebpackPlugin(
+          {},
+          {
+            nonceMode: 'invalid',
+          }
+        );
+      }).toThrow(new Error(`'invalid' is not a valid nonce mode`));
+    });
+
+    it('writes the placeholder into every nonce attribute and nonce source instead of a random nonce', (done) => {
+      const config = createWebpackConfig([
+        new HtmlWebpackPlugin({
+          filename: path.join(WEBPACK_OUTPUT_DIR, 'index.html'),
+          template: path.join(
+            __dirname,
+            'test-utils',
+            'fixtures',
+            'with-script-and-style.html'
+          ),
+        }),
+        new CspHtmlWebpackPlugin(
+          {},
+          { ...testOptions, nonceMode: 'placeholder', manifestEnabled: true }
+        ),
+      ]);
+
+      webpackCompile(config, (csps, selectors, fileSystem) => {
+        const expected =
+          "base-uri 'self';" +
+          " object-src 'none';" +
+          " script-src 'unsafe-inline' 'self' 'unsafe-eval' 'sha384-I8j99RwEV9SFO6EKWmKLpw3VxsvfabPoUJPZMFL1WWGjVShwX4YDWuJfq5+077jO' 'nonce-__CSP_NONCE__';" +
+          " style-src 'unsafe-inline' 'self' 'unsafe-eval' 'sha384-3P+ddXxfmvvtbEUrdZKBMTjmKpirnUElgB2vlkVZ4l6LCQYHCIyFMLp+OKTIR6ob' 'nonce-__CSP_NONCE__'";
+
+        const $ = selectors['index.html'];
+        expect(csps['index.html']).toEqual(expected);
+        expect(
+          $('script[src], link[rel="stylesheet"]')
+            .map((i, element) => $(element).attr('nonce'))
+            .get()
+        ).toEqual(['__CSP_NONCE__', '__CSP_NONCE__', '__CSP_NONCE__']);
+
+        const manifest = JSON.parse(
+          fileSystem
+            .readFileSync(
+              path.join(WEBPACK_OUTPUT_DIR, 'csp-manifest.json'),
+              'utf8'
+            )
+            .toString()
+        );
+        expect(manifest['index.html'].noncePlaceholder).toEqual(
+          '__CSP_NONCE__'
+        );
+        done();
+      });
+    });
+
+    it('supports the placeholder syntax of common template engines', (done) => {
+      const config = createWebpackConfig([
+        new HtmlWebpackPlugin({
+          filename: path.join(WEBPACK_OUTPUT_DIR, 'index.html'),
+          template: path.join(
+            __dirname,
+            'test-utils',
+            'fixtures',
+            'with-nothing.html'
+          ),
+        }),
+        new CspHtmlWebpackPlugin(
+          { 'script-src': "'self'", 'style-src': "'self'" },
+          {
+            ...testOptions,
+            primeReactEnabled: false,
+            nonceMode: 'placeholder',
+            noncePlaceholder: 'ejs',
+          }
+        ),
+      ]);
+
+      webpackCompile(config, (csps, selectors, fileSystem) => {
+        const html = fileSystem
+          .readFileSync(path.join(WEBPACK_OUTPUT_DIR, 'index.html'), 'utf8')
+          .toString();
+
+        expect(CspHtmlWebpackPlugin.noncePlaceholders.ejs).toEqual(
+          '<%= cspNonce %>'
+        );
+        expect(html).toContain(
+          `<meta http-equiv="Content-Security-Policy" content="base-uri 'self'; object-src 'none'; script-src 'self' 'nonce-<%= cspNonce %>'; style-src 'self'">`
+        );
+        expect(html).toContain(
+          '<script defer src="index.bundle.js" nonce="<%= cspNonce %>"></script>'
+        );
+        done();
+      });
+    });
+  });
+
+  describe('Policy lint', () => {
+    it('throws an error if an invalid lint rule or level is used', () => {
+      expect(() => {
+        // eslint-disable-next-line no-new
+        new CspHtmlWebpackPlugin({}, { lint: { 'made-up-rule': 'warn' } });
+      }).toThrow(new Error(`'made-up-rule' is not a valid lint rule`));
+
+      expect(() => {
+        // eslint-disable-next-line no-new
+        new CspHtmlWebpackPlugin({}, { lint: { 'unsafe-inline': 'fatal' } });
+      }).toThrow(new Error(`'fatal' is not a valid lint level`));
+    });
+
+    it('warns about the weaknesses of the default policy', (done) => {
+      const config = createWebpackConfig([
+        new HtmlWebpackPlugin({
+          filename: path.join(WEBPACK_OUTPUT_DIR, 'index.html'),
+          template: path.join(
+            __dirname,
+            'test-utils',
+            'fixtures',
+            'with-nothing.html'
+          ),
+        }),
+        new CspHtmlWebpackPlugin({}, { ...testOptions, lint: true }),
+      ]);
+
+      webpackCompile(
+        config,
+        (_1, _2, _3, errors, warnings) => {
+          expect(warnings.map(({ message }) => message)).toEqual([
+            "CSP: lint unsafe-inline for index.html: script-src contains 'unsafe-inline' without 'strict-dynamic', which allows injected inline scripts to run in browsers that don't support hashes or nonces",
+            "CSP: lint meaningless-source for index.html: style-src contains 'unsafe-eval' which has no effect in style-src",
+          ]);
+          done();
+        },
+        {
+          allowWarnings: true,
+        }
+      );
+    });
+
+    it('reports each rule at the level configured for it', (done) => {
+      const config = createWebpackConfig([
+        new HtmlWebpackPlugin({
+          filename: path.join(WEBPACK_OUTPUT_DIR, 'index.html'),
+          template: path.join(
+            __dirname,
+            'test-utils',
+            'fixtures',
+            'with-nothing.html'
+          ),
+        }),
+        new CspHtmlWebpackPlugin(
+          {
+            'base-uri': null,
+            'object-src': null,
+            'script-src': ['*', 'https:', 'https://ajax.googleapis.com/ajax/'],
+            'style-src': "'self'",
+            'img-src': ["'self'", "'unsafe-inline'"],
+          },
+          {
+            ...testOptions,
+            lint: {
+              'script-src-wildcard': 'error',
+              'bypass-host': 'error',
+              'missing-base-uri': 'off',
+            },
+          }
+        ),
+      ]);
+
+      webpackCompile(
+        config,
+        (_1, _2, _3, errors, warnings) => {
+          expect(errors.map(({ message }) => message)).toStrictEqual([
+            'CSP: lint script-src-wildcard for index.html: script-src allows scripts to be loaded from any host with *',
+            'CSP: lint bypass-host for index.html: script-src allows https://ajax.googleapis.com/ajax/, which hosts JSONP endpoints or AngularJS that can be used to bypass the policy',
+          ]);
+          expect(warnings.map(({ message }) => message)).toEqual([
+            'CSP: lint script-src-scheme for index.html: script-src allows scripts to be loaded from any url with the https: scheme',
+            "CSP: lint missing-object-src for index.html: object-src is missing, which allows plugins to be loaded from anywhere, set it to 'none'",
+            "CSP: lint meaningless-source for index.html: img-src contains 'unsafe-inline' which has no effect in img-src",
+          ]);
+          done();
+        },
+        {
+          expectError: true,
+        }
+      );
+    });
+
+    it("doesn't flag the fallbacks for older browsers when 'strict-dynamic' is used", (done) => {
+      const config = createWebpackConfig([
+        new HtmlWebpackPlugin({
+          filename: path.join(WEBPACK_OUTPUT_DIR, 'index.html'),
+          template: path.join(
+            __dirname,
+            'test-utils',
+            'fixtures',
+            'with-nothing.html'
+          ),
+        }),
+        new CspHtmlWebpackPlugin(
+          {
+            'script-src': [
+              "'strict-dynamic'",
+              "'unsafe-inline'",
+              'https:',
+              'https://www.google.com',
+            ],
+            'style-src': "'self'",
+          },
+          { ...testOptions, lint: true }
+        ),
+      ]);
+
+      webpackCompile(config, () => {
+        done();
+      });
+    });
+  });
+
+  describe('Policy presets', () => {
+    it('throws an error if an invalid preset is used', () => {
+      expect(() => {
+        // eslint-disable-next-line no-new
+        new CspHtmlWebpackPlugin({}, { preset: 'invalid' });
+      }).toThrow(new Error(`'invalid' is not a valid preset`));
+    });
+
+    it('expands the strict preset into a nonce based policy which passes the lint', (done) => {
+      const config = createWebpackConfig([
+        new HtmlWebpackPlugin({
+          filename: path.join(WEBPACK_OUTPUT_DIR, 'index.html'),
+          template: path.join(
+            __dirname,
+            'test-utils',
+            'fixtures',
+            'with-nothing.html'
+          ),
+        }),
+        new CspHtmlWebpackPlugin(
+          {},
+          { integrityEnabled: false, preset: 'strict', lint: true }
+        ),
+      ]);
+
+      webpackCompile(config, (csps) => {
+        const expected =
+          "base-uri 'none';" +
+          " object-src 'none';" +
+          " script-src 'unsafe-inline' https: 'nonce-mockedbase64string-1' 'strict-dynamic';" +
+          " style-src 'self' 'nonce-primereact-nonce'";
+
+        expect(csps['index.html']).toEqual(expected);
+        done();
+      });
+    });
+
+    it("expands the strict-hash preset into a policy which doesn't use nonces for scripts", (done) => {
+      const config = createWebpackConfig([
+        new HtmlWebpackPlugin({
+          filename: path.join(WEBPACK_OUTPUT_DIR, 'index.html'),
+          template: path.join(
+            __dirname,
+            'test-utils',
+            'fixtures',
+            'with-nothing.html'
+          ),
+        }),
+        new CspHtmlWebpackPlugin(
+          {},
+          { integrityEnabled: false, preset: 'strict-hash' }
+        ),
+      ]);
+
+      webpackCompile(config, (csps, selectors) => {
+        const expected =
+          "base-uri 'none';" +
+          " object-src 'none';" +
+          " script-src 'self';" +
+          " style-src 'self' 'nonce-primereact-nonce'";
+
+        expect(csps['index.html']).toEqual(expected);
+        expect(selectors['index.html']('script[nonce]').length).toEqual(0);
+        done();
+      });
+    });
+
+    it('layers the user policy and hash / nonce settings on top of the preset, removing directives set to null', (done) => {
+      const config = createWebpackConfig([
+        new HtmlWebpackPlugin({
+          filename: path.join(WEBPACK_OUTPUT_DIR, 'index.html'),
+          template: path.join(
+            __dirname,
+            'test-utils',
+            'fixtures',
+            'with-nothing.html'
+          ),
+        }),
+        new CspHtmlWebpackPlugin(
+          {
+            'base-uri': null,
+            'img-src': ["'self'", 'data:'],
+          },
+          {
+            integrityEnabled: false,
+            primeReactEnabled: false,
+            preset: 'lax',
+            nonceEnabled: { 'script-src': true },
+          }
+        ),
+      ]);
+
+      webpackCompile(config, (csps) => {
+        const expected =
+          "object-src 'none';" +
+          " script-src 'self' 'unsafe-inline' 'unsafe-eval' 'nonce-primereact-nonce';" +
+          " style-src 'self' 'unsafe-inline';" +
+          " img-src 'self' data:";
+
+        expect(csps['index.html']).toEqual(expected);
+        done();
+      });
+    });
+
+    it('gives the same policy as the defaults with the legacy preset', (done) => {
+      const config = createWebpackConfig([
+        new HtmlWebpackPlugin({
+          filename: path.join(WEBPACK_OUTPUT_DIR, 'index.html'),
+          template: path.join(
+            __dirname,
+            'test-utils',
+            'fixtures',
+            'with-nothing.html'
+          ),
+        }),
+        new CspHtmlWebpackPlugin(
+          {},
+          { integrityEnabled: false, preset: 'legacy' }
+        ),
+      ]);
+
+      webpackCompile(config, (csps) => {
+        const expected =
+          "base-uri 'self';" +
+          " object-src 'none';" +
+          " script-src 'unsafe-inline' 'self' 'unsafe-eval' 'nonce-mockedbase64string-1';" +
+          " style-src 'unsafe-inline' 'self' 'unsafe-eval' 'nonce-primereact-nonce'";
+
+        expect(csps['index.html']).toEqual(expected);
+        done();
+      });
+    });
+  });
+
+  describe('Composable policies', () => {
+    it('throws an error if an invalid merge strategy is used', () => {
+      expect(() => {
+        // eslint-disable-next-line no-new
+        new CspHtmlWebpackPlugin(
+          {},
+          { mergeStrategy: { 'script-src': 'prepend' } }
+        );
+      }).toThrow(new Error(`'prepend' is not a valid merge strategy`));
+    });
+
+    it('calls policy functions with the htmlPluginData and compilation, waiting for async policies', (done) => {
+      const cspPluginPolicy = jest.fn((htmlPluginData) => ({
+        'script-src': "'self'",
+        'style-src': "'self'",
+        'connect-src': `https://${htmlPluginData.outputName.replace(
+          '.html',
+          ''
+        )}.example.com`,
+      }));
+      const config = createWebpackConfig([
+        new HtmlWebpackPlugin({
+          filename: path.join(WEBPACK_OUTPUT_DIR, 'index.html'),
+          template: path.join(
+            __dirname,
+            'test-utils',
+            'fixtures',
+            'with-nothing.html'
+          ),
+        }),
+        new HtmlWebpackPlugin({
+          filename: path.join(WEBPACK_OUTPUT_DIR, 'async.html'),
+          template: path.join(
+            __dirname,
+            'test-utils',
+            'fixtures',
+            'with-nothing.html'
+          ),
+          cspPlugin: {
+            policy: () =>
+              new Promise((resolve) => {
+                setTimeout(() => resolve({ 'img-src': 'data:' }), 10);
+              }),
+          },
+        }),
+        new CspHtmlWebpackPlugin(cspPluginPolicy, testOptions),
+      ]);
+
+      webpackCompile(config, (csps) => {
+        expect(cspPluginPolicy).toHaveBeenCalledTimes(2);
+        expect(cspPluginPolicy).toHaveBeenCalledWith(
+          expect.objectContaining({ outputName: 'index.html' }),
+          expect.objectContaining({ hooks: expect.any(Object) })
+        );
+
+        expect(csps['index.html']).toEqual(
+          "base-uri 'self';" +
+            " object-src 'none';" +
+            " script-src 'self' 'nonce-mockedbase64string-1';" +
+            " style-src 'self' 'nonce-primereact-nonce';" +
+            ' connect-src https://index.example.com'
+        );
+        expect(csps['async.html']).toEqual(
+          "base-uri 'self';" +
+            " object-src 'none';" +
+            " script-src 'self' 'nonce-mockedbase64string-2';" +
+            " style-src 'self' 'nonce-primereact-nonce';" +
+            ' connect-src https://async.example.com;' +
+            ' img-src data:'
+        );
+        done();
+      });
+    });
+
+    it('appends and removes sources according to the merge strategy of each directive', (done) => {
+      const config = createWebpackConfig([
+        new HtmlWebpackPlugin({
+          filename: path.join(WEBPACK_OUTPUT_DIR, 'index.html'),
+          template: path.join(
+            __dirname,
+            'test-utils',
+            'fixtures',
+            'with-nothing.html'
+          ),
+          cspPlugin: {
+            policy: {
+              'connect-src': 'https://api.example.com',
+              'object-src': "'self'",
+            },
+            mergeStrategy: {
+              'connect-src': 'append',
+            },
+          },
+        }),
+        new CspHtmlWebpackPlugin(
+          {
+            'script-src': 'https://cdn.example.com',
+            'style-src': "'unsafe-eval'",
+            'connect-src': "'self'",
+            'img-src': "'self'",
+          },
+          {
+            ...testOptions,
+            mergeStrategy: {
+              'script-src': 'append',
+              'style-src': 'remove',
+              'object-src': 'remove',
+            },
+          }
+        ),
+      ]);
+
+      webpackCompile(config, (csps) => {
+        const expected =
+          "base-uri 'self';" +
+          " object-src 'none';" +
+          " script-src 'unsafe-inline' 'self' 'unsafe-eval' https://cdn.example.com 'nonce-mockedbase64string-1';" +
+          " style-src 'unsafe-inline' 'self' 'nonce-primereact-nonce';" +
+          " connect-src 'self' https://api.example.com;" +
+          " img-src 'self'";
+
+        expect(csps['index.html']).toEqual(expected);
+        done();
+      });
+    });
+
+    it('adds an error to the compilation if a policy function fails', (done) => {
+      const config = createWebpackConfig([
+        new HtmlWebpackPlugin({
+          filename: path.join(WEBPACK_OUTPUT_DIR, 'index.html'),
+          template: path.join(
+            __dirname,
+            'test-utils',
+            'fixtures',
+            'with-nothing.html'
+          ),
+        }),
+        new CspHtmlWebpackPlugin(
+          () => Promise.reject(new Error('config service is down')),
+          testOptions
+        ),
+      ]);
+
+      webpackCompile(
+        config,
+        (_1, _2, _3, errors) => {
+          expect(errors.length).toEqual(1);
+          expect(errors[0].toString()).toContain('config service is down');
+          done();
+        },
+        {
+          expectError: true,
+        }
+      );
+    });
+
+    it('adds an error to the compilation if a policy function throws', (done) => {
+      const config = createWebpackConfig([
+        new HtmlWebpackPlugin({
+          filename: path.join(WEBPACK_OUTPUT_DIR, 'index.html'),
+          template: path.join(
+            __dirname,
+            'test-utils',
+            'fixtures',
+            'with-nothing.html'
+          ),
+          cspPlugin: {
+            policy: () => {
+              throw new Error('policy is misconfigured');
+            },
+          },
+        }),
+        new CspHtmlWebpackPlugin({}, testOptions),
+      ]);
+
+      webpackCompile(
+        config,
+        (_1, _2, _3, errors) => {
+          expect(errors.length).toEqual(1);
+          expect(errors[0].toString()).toContain('policy is misconfigured');
+          done();
+        },
+        {
+          expectError: true,
+        }
+      );
+    });
+  });
+
+  describe('Integrations', () => {
+    it('throws an error if an invalid integration or integration pack is used', () => {
+      expect(() => {
+        // eslint-disable-next-line no-new
+        new CspHtmlWebpackPlugin({}, { integrations: ['made-up-service'] });
+      }).toThrow(new Error(`'made-up-service' is not a valid integration`));
+
+      expect(() => {
+        // eslint-disable-next-line no-new
+        new CspHtmlWebpackPlugin(
+          {},
+          { integrationPacks: { 'acme-auth': 'https://auth.acme.dev' } }
+        );
+      }).toThrow(new Error(`'acme-auth' is not a valid integration pack`));
+    });
+
+    it('adds the sources of each integration, creating directives from the directive they fall back to', (done) => {
+      const config = createWebpackConfig([
+        new HtmlWebpackPlugin({
+          filename: path.join(WEBPACK_OUTPUT_DIR, 'index.html'),
+          template: path.join(
+            __dirname,
+            'test-utils',
+            'fixtures',
+            'with-nothing.html'
+          ),
+        }),
+        new CspHtmlWebpackPlugin(
+          {
+            'default-src': "'self'",
+            'connect-src': "'self'",
+          },
+          { ...testOptions, integrations: ['stripe', 'google-fonts'] }
+        ),
+      ]);
+
+      webpackCompile(config, (csps) => {
+        const expected =
+          "base-uri 'self';" +
+          " object-src 'none';" +
+          " script-src 'unsafe-inline' 'self' 'unsafe-eval' https://js.stripe.com https://*.js.stripe.com 'nonce-mockedbase64string-1';" +
+          " style-src 'unsafe-inline' 'self' 'unsafe-eval' https://fonts.googleapis.com 'nonce-primereact-nonce';" +
+          " default-src 'self';" +
+          " connect-src 'self' https://api.stripe.com https://maps.googleapis.com;" +
+          " frame-src 'self' https://js.stripe.com https://*.js.stripe.com https://hooks.stripe.com;" +
+          " img-src 'self' https://*.stripe.com;" +
+          " font-src 'self' https://fonts.gstatic.com";
+
+        expect(csps['index.html']).toEqual(expected);
+        done();
+      });
+    });
+
+    it('allows the paths the YouTube IFrame API loads its scripts from, and lints the hosts of integrations naming them', (done) => {
+      const config = createWebpackConfig([
+        new HtmlWebpackPlugin({
+          filename: path.join(WEBPACK_OUTPUT_DIR, 'index.html'),
+          template: path.join(
+            __dirname,
+            'test-utils',
+            'fixtures',
+            'with-nothing.html'
+          ),
+        }),
+        new CspHtmlWebpackPlugin(
+          { 'script-src': "'self'" },
+          {
+            ...testOptions,
+            integrations: ['youtube', 'recaptcha'],
+            lint: { 'bypass-host': 'error' },
+          }
+        ),
+      ]);
+
+      webpackCompile(
+        config,
+        (csps, _1, _2, errors) => {
+          expect(csps['index.html']).toContain(
+            "script-src 'self' https://www.youtube.com/iframe_api https://www.youtube.com/s/player/ https://www.google.com/recaptcha/ https://www.gstatic.com/recaptcha/ 'nonce-mockedbase64string-1';"
+          );
+          expect(errors.map(({ message }) => message)).toEqual([
+            'CSP: lint bypass-host for index.html: script-src allows https://www.youtube.com/iframe_api (needed by the youtube integration), which hosts JSONP endpoints or AngularJS that can be used to bypass the policy',
+            'CSP: lint bypass-host for index.html: script-src allows https://www.youtube.com/s/player/ (needed by the youtube integration), which hosts JSONP endpoints or AngularJS that can be used to bypass the policy',
+            'CSP: lint bypass-host for index.html: script-src allows https://www.google.com/recaptcha/ (needed by the recaptcha integration), which hosts JSONP endpoints or AngularJS that can be used to bypass the policy',
+            'CSP: lint bypass-host for index.html: script-src allows https://www.gstatic.com/recaptcha/ (needed by the recaptcha integration), which hosts JSONP endpoints or AngularJS that can be used to bypass the policy',
+          ]);
+          done();
+        },
+        {
+          expectError: true,
+        }
+      );
+    });
+
+    it('adds user defined integration packs to the pages which use them', (done) => {
+      const config = createWebpackConfig([
+        new HtmlWebpackPlugin({
+          filename: path.join(WEBPACK_OUTPUT_DIR, 'index.html'),
+          template: path.join(
+            __dirname,
+            'test-utils',
+            'fixtures',
+            'with-nothing.html'
+          ),
+        }),
+        new HtmlWebpackPlugin({
+          filename: path.join(WEBPACK_OUTPUT_DIR, 'login.html'),
+          template: path.join(
+            __dirname,
+            'test-utils',
+            'fixtures',
+            'with-nothing.html'
+          ),
+          cspPlugin: {
+            integrations: ['acme-auth'],
+          },
+        }),
+        new CspHtmlWebpackPlugin(
+          {
+            'connect-src': "'self'",
+          },
+          {
+            ...testOptions,
+            integrationPacks: {
+              'acme-auth': {
+                policy: { 'connect-src': 'https://auth.acme.dev' },
+              },
+            },
+          }
+        ),
+      ]);
+
+      webpackCompile(config, (csps) => {
+        expect(csps['index.html']).toContain("connect-src 'self'");
+        expect(csps['index.html']).not.toContain('https://auth.acme.dev');
+        expect(csps['login.html']).toContain(
+          "connect-src 'self' https://auth.acme.dev"
+        );
+        done();
+      });
+    });
+  });
+
+  describe('webpack-dev-server', () => {
+    const devServerConfig = {
+      devServer: { port: 9000, hot: true },
+      devtool: 'eval',
+      module: {
+        rules: [{ test: /\.css$/, use: ['style-loader', 'css-loader'] }],
+      },
+    };
+
+    // webpack serve sets WEBPACK_SERVE, which is how the plugin knows it's being served rather than built
+    beforeEach(() => {
+      process.env.WEBPACK_SERVE = 'true';
+    });
+
+    afterEach(() => {
+      delete process.env.WEBPACK_SERVE;
+    });
+
+    it('adds the sources needed by hot module replacement, eval devtools and style-loader, and warns about them', (done) => {
+      const config = createWebpackConfig(
+        [
+          new HtmlWebpackPlugin({
+            filename: path.join(WEBPACK_OUTPUT_DIR, 'index.html'),
+            template: path.join(
+              __dirname,
+              'test-utils',
+              'fixtures',
+              'with-nothing.html'
+            ),
+          }),
+          new CspHtmlWebpackPlugin(
+            {
+              'script-src': "'self'",
+              'style-src': "'self'",
+              'connect-src': "'self'",
+            },
+            testOptions
+          ),
+        ],
+        undefined,
+        'index.js',
+        devServerConfig
+      );
+
+      webpackCompile(
+        config,
+        (csps, _1, _2, errors, warnings) => {
+          const expected =
+            "base-uri 'self';" +
+            " object-src 'none';" +
+            " script-src 'self' 'unsafe-eval' 'nonce-primereact-nonce';" +
+            " style-src 'self' 'unsafe-inline';" +
+            " connect-src 'self' ws://localhost:9000";
+
+          expect(csps['index.html']).toEqual(expected);
+          expect(warnings.map(({ message }) => message)).toEqual([
+            "CSP: webpack-dev-server detected, so the policy for index.html has been loosened for development with connect-src ws://localhost:9000, script-src 'unsafe-eval', style-src 'unsafe-inline' and no style hashes or nonces; set devServerEnabled to false to use the production policy",
+          ]);
+          done();
+        },
+        {
+          allowWarnings: true,
+        }
+      );
+    });
+
+    it("doesn't loosen the policy for a plain webpack build which has devServer in its config", (done) => {
+      delete process.env.WEBPACK_SERVE;
+      const config = createWebpackConfig(
+        [
+          new HtmlWebpackPlugin({
+            filename: path.join(WEBPACK_OUTPUT_DIR, 'index.html'),
+            template: path.join(
+              __dirname,
+              'test-utils',
+              'fixtures',
+              'with-nothing.html'
+            ),
+          }),
+          new CspHtmlWebpackPlugin(
+            {
+              'script-src': "'self'",
+              'style-src': "'self'",
+              'connect-src': "'self'",
+            },
+            testOptions
+          ),
+        ],
+        undefined,
+        'index.js',
+        devServerConfig
+      );
+
+      webpackCompile(config, (csps) => {
+        const expected =
+          "base-uri 'self';" +
+          " object-src 'none';" +
+          " script-src 'self' 'nonce-mockedbase64string-1';" +
+          " style-src 'self' 'nonce-primereact-nonce';" +
+          " connect-src 'self'";
+
+        expect(csps['index.html']).toEqual(expected);
+        done();
+      });
+    });
+
+    it("doesn't loosen the policy when devServerEnabled is false", (done) => {
+      const config = createWebpackConfig(
+        [
+          new HtmlWebpackPlugin({
+            filename: path.join(WEBPACK_OUTPUT_DIR, 'index.html'),
+            template: path.join(
+              __dirname,
+              'test-utils',
+              'fixtures',
+              'with-nothing.html'
+            ),
+          }),
+          new CspHtmlWebpackPlugin(
+            {
+              'script-src': "'self'",
+              'style-src': "'self'",
+              'connect-src': "'self'",
+            },
+            { ...testOptions, devServerEnabled: false }
+          ),
+        ],
+        undefined,
+        'index.js',
+        devServerConfig
+      );
+
+      webpackCompile(config, (csps) => {
+        const expected =
+          "base-uri 'self';" +
+          " object-src 'none';" +
+          " script-src 'self' 'nonce-mockedbase64string-1';" +
+          " style-src 'self' 'nonce-primereact-nonce';" +
+          " connect-src 'self'";
+
+        expect(csps['index.html']).toEqual(expected);
+        done();
+      });
+    });
+
+    it('serves the policy as a header through setupMiddlewares when devServerHeaders is enabled', (done) => {
+      const setupMiddlewares = jest.fn((middlewares) => middlewares);
+      let devServerOptions;
+      const config = createWebpackConfig(
+        [
+          new HtmlWebpackPlugin({
+            filename: path.join(WEBPACK_OUTPUT_DIR, 'index.html'),
+            template: path.join(
+              __dirname,
+              'test-utils',
+              'fixtures',
+              'with-nothing.html'
+            ),
+          }),
+          new CspHtmlWebpackPlugin(
+            { 'frame-ancestors': "'none'" },
+            { ...testOptions, devServerHeaders: true }
+          ),
+          // webpack-dev-server reads its options from the compiler, which are a copy of the config
+          {
+            apply: (compiler) => {
+              devServerOptions = compiler.options.devServer;
+            },
+          },
+        ],
+        undefined,
+        'index.js',
+        {
+          ...devServerConfig,
+          devServer: { ...devServerConfig.devServer, setupMiddlewares },
+        }
+      );
+
+      webpackCompile(
+        config,
+        (csps) => {
+          const middlewares = devServerOptions.setupMiddlewares(
+            [{ name: 'existing' }],
+            {}
+          );
+          expect(setupMiddlewares).toHaveBeenCalled();
+          expect(middlewares.map(({ name }) => name)).toEqual([
+            'csp-html-webpack-plugin',
+            'existing',
+          ]);
+
+          const res = { setHeader: jest.fn() };
+          const next = jest.fn();
+          middlewares[0].middleware({ url: '/?hot=1' }, res, next);
+
+          expect(next).toHaveBeenCalled();
+          expect(res.setHeader).toHaveBeenCalledWith(
+            'Content-Security-Policy',
+            `${csps['index.html']}; frame-ancestors 'none'`
+          );
+          done();
+        },
+        {
+          allowWarnings: true,
+        }
+      );
+    });
+  });
+
+  describe('CSP Level 3 directives', () => {
+    it('adds hashes and nonces to the -elem directives when they are defined, as well as the directives they fall back to', (done) => {
+      const config = createWebpackConfig([
+        new HtmlWebpackPlugin({
+          filename: path.join(WEBPACK_OUTPUT_DIR, 'index.html'),
+          template: path.join(
+            __dirname,
+            'test-utils',
+            'fixtures',
+            'with-script-and-style.html'
+          ),
+        }),
+        new CspHtmlWebpackPlugin(
+          {
+            'script-src': "'self'",
+            'style-src': "'self'",
+            'script-src-elem': "'self'",
+            'style-src-elem': "'self'",
+            'script-src-attr': "'none'",
+          },
+          testOptions
+        ),
+      ]);
+
+      webpackCompile(config, (csps) => {
+        const expected =
+          "base-uri 'self';" +
+          " object-src 'none';" +
+          " script-src 'self' 'sha384-I8j99RwEV9SFO6EKWmKLpw3VxsvfabPoUJPZMFL1WWGjVShwX4YDWuJfq5+077jO' 'nonce-mockedbase64string-1' 'nonce-mockedbase64string-2';" +
+          " style-src 'self' 'sha384-3P+ddXxfmvvtbEUrdZKBMTjmKpirnUElgB2vlkVZ4l6LCQYHCIyFMLp+OKTIR6ob' 'nonce-mockedbase64string-3' 'nonce-primereact-nonce';" +
+          " script-src-elem 'self' 'sha384-I8j99RwEV9SFO6EKWmKLpw3VxsvfabPoUJPZMFL1WWGjVShwX4YDWuJfq5+077jO' 'nonce-mockedbase64string-1' 'nonce-mockedbase64string-2';" +
+          " style-src-elem 'self' 'sha384-3P+ddXxfmvvtbEUrdZKBMTjmKpirnUElgB2vlkVZ4l6LCQYHCIyFMLp+OKTIR6ob' 'nonce-mockedbase64string-3' 'nonce-primereact-nonce';" +
+          " script-src-attr 'none'";
+
+        expect(csps['index.html']).toEqual(expected);
+        done();
+      });
+    });
+
+    it('accepts the -elem directives in hashEnabled and nonceEnabled, which otherwise use the setting of the directive they fall back to', (done) => {
+      const config = createWebpackConfig([
+        new HtmlWebpackPlugin({
+          filename: path.join(WEBPACK_OUTPUT_DIR, 'index.html'),
+          template: path.join(
+            __dirname,
+            'test-utils',
+            'fixtures',
+            'with-script-and-style.html'
+          ),
+        }),
+        new CspHtmlWebpackPlugin(
+          {
+            'script-src': "'self'",
+            'style-src': "'self'",
+            'script-src-elem': "'self'",
+            'style-src-elem': "'self'",
+          },
+          {
+            ...testOptions,
+            hashEnabled: { 'script-src-elem': false },
+            nonceEnabled: { 'style-src': false },
+          }
+        ),
+      ]);
+
+      webpackCompile(config, (csps) => {
+        const expected =
+          "base-uri 'self';" +
+          " object-src 'none';" +
+          " script-src 'self' 'sha384-I8j99RwEV9SFO6EKWmKLpw3VxsvfabPoUJPZMFL1WWGjVShwX4YDWuJfq5+077jO' 'nonce-mockedbase64string-1' 'nonce-mockedbase64string-2';" +
+          " style-src 'self' 'sha384-3P+ddXxfmvvtbEUrdZKBMTjmKpirnUElgB2vlkVZ4l6LCQYHCIyFMLp+OKTIR6ob' 'nonce-primereact-nonce';" +
+          " script-src-elem 'self' 'nonce-mockedbase64string-1' 'nonce-mockedbase64string-2';" +
+          " style-src-elem 'self' 'sha384-3P+ddXxfmvvtbEUrdZKBMTjmKpirnUElgB2vlkVZ4l6LCQYHCIyFMLp+OKTIR6ob' 'nonce-primereact-nonce'";
+
+        expect(csps['index.html']).toEqual(expected);
+        done();
+      });
+    });
+
+    it('only skips the nonce for an allowed host when every directive governing the element allows it', (done) => {
+      const config = createWebpackConfig(
+        [
+          new HtmlWebpackPlugin({
+            filename: path.join(WEBPACK_OUTPUT_DIR, 'index.html'),
+            template: path.join(
+              __dirname,
+              'test-utils',
+              'fixtures',
+              'with-script-and-style.html'
+            ),
+          }),
+          new CspHtmlWebpackPlugin(
+            {
+              'script-src': "'self'",
+              'style-src': "'self'",
+              'script-src-elem': ["'self'", 'https://my.cdn.com'],
+            },
+            testOptions
+          ),
+        ],
+        'https://my.cdn.com/'
+      );
+
+      webpackCompile(config, (csps, selectors) => {
+        const $ = selectors['index.html'];
+        const expected =
+          "base-uri 'self';" +
+          " object-src 'none';" +
+          " script-src 'self' 'sha384-I8j99RwEV9SFO6EKWmKLpw3VxsvfabPoUJPZMFL1WWGjVShwX4YDWuJfq5+077jO' 'nonce-mockedbase64string-1' 'nonce-mockedbase64string-2';" +
+          " style-src 'self' 'sha384-3P+ddXxfmvvtbEUrdZKBMTjmKpirnUElgB2vlkVZ4l6LCQYHCIyFMLp+OKTIR6ob' 'nonce-mockedbase64string-3' 'nonce-primereact-nonce';" +
+          " script-src-elem 'self' https://my.cdn.com 'sha384-I8j99RwEV9SFO6EKWmKLpw3VxsvfabPoUJPZMFL1WWGjVShwX4YDWuJfq5+077jO' 'nonce-mockedbase64string-1' 'nonce-mockedbase64string-2'";
+
+        expect(csps['index.html']).toEqual(expected);
+        // browsers without CSP Level 3 support use script-src, which doesn't allow the host
+        expect($('script')[2].attribs.nonce).toEqual('mockedbase64string-2');
+        done();
+      });
+    });
+  });
+
+  describe('Inline event handlers and style attributes', () => {
+    const inlineHandlerSettings = { template: 'with-inline-handlers.html' };
+
+    it('does not hash attributes by default', (done) => {
+      const config = createCspWebpackConfig(
+        {},
+        testOptions,
+        inlineHandlerSettings
+      );
+
+      webpackCompile(config, (csps) => {
+        expect(csps['index.html']).not.toContain("'unsafe-hashes'");
+        done();
+      });
+    });
+
+    it('adds the hashes of inline event handlers and style attributes with unsafe-hashes to the directives they fall back to', (done) => {
+      const config = createCspWebpackConfig(
+        {},
+        { ...testOptions, unsafeHashesEnabled: true },
+        inlineHandlerSettings
+      );
+
+      webpackCompile(
+        config,
+        (csps, selectors, fileSystem, errors, warnings) => {
+          const expected =
+            "base-uri 'self';" +
+            " object-src 'none';" +
+            " script-src 'unsafe-inline' 'self' 'unsafe-eval' 'nonce-mockedbase64string-1' 'unsafe-hashes' 'sha384-Mb9s2jeUdj+9yY2h6jhA5U0mTpGAaetPMLCLMxk6ylL3++7yvf7pwe8QI92WXaW/' 'sha384-2hfzhYdzPuHgtKQ6VOzPiMlCv79wX3577qL4wyjf5hLbA/qmAdxBmwq4izatpG/w';" +
+            " style-src 'unsafe-inline' 'self' 'unsafe-eval' 'nonce-primereact-nonce' 'unsafe-hashes' 'sha384-YoSV9pxydVBLyyDpluNe9tQWgtUWlnzHS/zCvuNc30tEu0YwLQPRgNAXk+h06DXU' 'sha384-vxPJvANtYpecKiqPF4m3MybKu9Py5fT1M2WebJKEEv4nceHjbrki4LZp9UqoeyRc'";
+
+          expect(csps['index.html']).toEqual(expected);
+          expect(warnings.map((warning) => warning.message)).toStrictEqual([
+            "CSP: 2 inline event handler(s) and 2 style attribute(s) in index.html have been allowed with 'unsafe-hashes', move them into scripts and stylesheets so it can be removed",
+          ]);
+          done();
+        },
+        {
+          allowWarnings: true,
+        }
+      );
+    });
+
+    it('adds the hashes to the -attr directives when they are defined', (done) => {
+      const config = createCspWebpackConfig(
+        {
+          'script-src': "'self'",
+          'style-src': "'self'",
+          'script-src-attr': "'none'",
+          'style-src-attr': "'self'",
+        },
+        { ...testOptions, unsafeHashesEnabled: true },
+        inlineHandlerSettings
+      );
+
+      webpackCompile(
+        config,
+        (csps, selectors, fileSystem, errors, warnings) => {
+          const expected =
+            "base-uri 'self';" +
+            " object-src 'none';" +
+            " script-src 'self' 'nonce-mockedbase64string-1';" +
+            " style-src 'self' 'nonce-primereact-nonce';" +
+            " script-src-attr 'unsafe-hashes' 'sha384-Mb9s2jeUdj+9yY2h6jhA5U0mTpGAaetPMLCLMxk6ylL3++7yvf7pwe8QI92WXaW/' 'sha384-2hfzhYdzPuHgtKQ6VOzPiMlCv79wX3577qL4wyjf5hLbA/qmAdxBmwq4izatpG/w';" +
+            " style-src-attr 'self' 'unsafe-hashes' 'sha384-YoSV9pxydVBLyyDpluNe9tQWgtUWlnzHS/zCvuNc30tEu0YwLQPRgNAXk+h06DXU' 'sha384-vxPJvANtYpecKiqPF4m3MybKu9Py5fT1M2WebJKEEv4nceHjbrki4LZp9UqoeyRc'";
+
+          expect(csps['index.html']).toEqual(expected);
+          expect(warnings[0].message).toContain(
+            '2 inline event handler(s) and 2 style attribute(s)'
+          );
+          done();
+        },
+        {
+          allowWarnings: true,
+        }
+      );
+    });
+
+    it('does not hash the attributes of a directive when hashing is disabled for its -attr directive', (done) => {
+      const config = createCspWebpackConfig(
+        { 'script-src': "'self'", 'style-src': "'self'" },
+        {
+          ...testOptions,
+          unsafeHashesEnabled: true,
+          hashEnabled: { 'script-src-attr': false },
+        },
+        inlineHandlerSettings
+      );
+
+      webpackCompile(
+        config,
+        (csps, selectors, fileSystem, errors, warnings) => {
+          const expected =
+            "base-uri 'self';" +
+            " object-src 'none';" +
+            " script-src 'self' 'nonce-mockedbase64string-1';" +
+            " style-src 'self' 'nonce-primereact-nonce' 'unsafe-hashes' 'sha384-YoSV9pxydVBLyyDpluNe9tQWgtUWlnzHS/zCvuNc30tEu0YwLQPRgNAXk+h06DXU' 'sha384-vxPJvANtYpecKiqPF4m3MybKu9Py5fT1M2WebJKEEv4nceHjbrki4LZp9UqoeyRc'";
+
+          expect(csps['index.html']).toEqual(expected);
+          expect(warnings[0].message).toContain(
+            '0 inline event handler(s) and 2 style attribute(s)'
+          );
+          done();
+        },
+        {
+          allowWarnings: true,
+        }
+      );
+    });
+  });
+
+  describe('Integrity hashes', () => {
+    const integritySettings = {
+      template: 'external-scripts-styles.html',
+      extraWebpackConfig: {
+        output: {
+          path: WEBPACK_OUTPUT_DIR,
+          filename: 'index.bundle.js',
+          crossOriginLoading: 'anonymous',
+        },
+      },
+    };
+
+    it('allows external scripts with an integrity attribute by their hash instead of a nonce', (done) => {
+      const config = createCspWebpackConfig(
+        { 'script-src': "'self'", 'style-src': "'self'" },
+        { ...testOptions, integrityEnabled: true, integrityHashEnabled: true },
+        integritySettings
+      );
+
+      webpackCompile(config, (csps, selectors) => {
+        const expected =
+          "base-uri 'self';" +
+          " object-src 'none';" +
+          " script-src 'self' 'sha384-NWNnk99ieimwbhCz99NqTmb1f2QlSKvZzOGD+3IiqHlJyWkv1ntsEOmyzs6sDONj' 'nonce-mockedbase64string-1';" +
+          " style-src 'self' 'nonce-mockedbase64string-2' 'nonce-primereact-nonce'";
+
+        const $ = selectors['index.html'];
+
+        expect(csps['index.html']).toEqual(expected);
+        expect(
+          $('script[src="index.bundle.js"]').attr('nonce')
+        ).toBeUndefined();
+        // scripts without an integrity attribute and stylesheets still need a nonce
+        expect(
+          $('script[src="https://example.com/example.js"]').attr('nonce')
+        ).toEqual('mockedbase64string-1');
+        expect(
+          $('link[href="https://example.com/example.css"]').attr('nonce')
+        ).toEqual('mockedbase64string-2');
+        done();
+      });
+    });
+
+    it('adds a nonce to external scripts with an integrity attribute by default', (done) => {
+      const config = createCspWebpackConfig(
+        {
+          'script-src': "'self'",
+          'style-src': "'self'",
+        },
+        { ...testOptions, integrityEnabled: true },
+        integritySettings
+      );
+
+      webpackCompile(config, (csps) => {
+        const expected =
+          "base-uri 'self';" +
+          " object-src 'none';" +
+          " script-src 'self' 'nonce-mockedbase64string-1' 'nonce-mockedbase64string-2';" +
+          " style-src 'self' 'nonce-mockedbase64string-3' 'nonce-primereact-nonce'";
+
+        expect(csps['index.html']).toEqual(expected);
+        done();
+      });
+    });
+
+    it('keeps adding nonces when hashes are disabled for a directive governing the scripts', (done) => {
+      const config = createCspWebpackConfig(
+        {
+          'script-src': "'self'",
+          'script-src-elem': "'self'",
+          'style-src': "'self'",
+        },
+        {
+          ...testOptions,
+          integrityEnabled: true,
+          integrityHashEnabled: true,
+          hashEnabled: { 'script-src-elem': false },
+        },
+        integritySettings
+      );
+
+      webpackCompile(config, (csps) => {
+        const expected =
+          "base-uri 'self';" +
+          " object-src 'none';" +
+          " script-src 'self' 'nonce-mockedbase64string-1' 'nonce-mockedbase64string-2';" +
+          " style-src 'self' 'nonce-mockedbase64string-3' 'nonce-primereact-nonce';" +
+          " script-src-elem 'self' 'nonce-mockedbase64string-1' 'nonce-mockedbase64string-2'";
+
+        expect(csps['index.html']).toEqual(expected);
+        done();
+      });
+    });
+  });
+
+  describe('Reporting', () => {
+    const reporting = {
+      endpoints: {
+        'csp-endpoint': 'https://example.com/csp-reports',
+        'csp-backup': 'https://backup.example.com/csp-reports',
+      },
+    };
+
+    [
+      {
+        options: { endpoints: {} },
+        error: 'reporting needs at least one endpoint',
+      },
+      {
+        options: { endpoints: { 'CSP Endpoint': '/csp-reports' } },
+        error: "'CSP Endpoint' is not a valid reporting endpoint name",
+      },
+      {
+        options: { endpoints: { 'csp-endpoint': '/csp reports' } },
+        error: "'/csp reports' is not a valid reporting endpoint",
+      },
+      {
+        options: { ...reporting, group: 'missing' },
+        error: "'missing' is not a valid reporting group",
+      },
+      {
+        options: { ...reporting, reportSample: { 'img-src': true } },
+        error: "'img-src' does not support 'report-sample'",
+      },
+    ].forEach(({ options, error }) => {
+      it(`throws an error for the reporting option ${JSON.stringify(
+        options
+      )}`, () => {
+        expect(() => {
+          // eslint-disable-next-line no-new
+          new CspHtmlWebpackPlugin({}, { reporting: options });
+        }).toThrow(new Error(error));
+      });
+    });
+
+    it('writes report-uri and report-to for the group, along with the Reporting-Endpoints header for processFn and outputs', (done) => {
+      const processFn = jest.fn();
+      const config = createWebpackConfig([
+        new HtmlWebpackPlugin({
+          filename: path.join(WEBPACK_OUTPUT_DIR, 'index.html'),
+          template: path.join(
+            __dirname,
+            'test-utils',
+            'fixtures',
+            'with-nothing.html'
+          ),
+        }),
+        new CspHtmlWebpackPlugin(
+          { 'report-uri': '/old-reports' },
+          {
+            ...testOptions,
+            processFn,
+            outputs: ['netlify'],
+            reporting: {
+              ...reporting,
+              group: 'csp-backup',
+              reportSample: true,
+            },
+          }
+        ),
+      ]);
+
+      webpackCompile(config, (csps, selectors, fileSystem) => {
+        const expectedPolicy =
+          "base-uri 'self';" +
+          " object-src 'none';" +
+          " script-src 'unsafe-inline' 'self' 'unsafe-eval' 'report-sample' 'nonce-mockedbase64string-1';" +
+          " style-src 'unsafe-inline' 'self' 'unsafe-eval' 'report-sample' 'nonce-primereact-nonce'";
+        const expectedHeaders = {
+          'Content-Security-Policy': `${expectedPolicy}; report-uri https://backup.example.com/csp-reports; report-to csp-backup`,
+          'Reporting-Endpoints':
+            'csp-endpoint="https://example.com/csp-reports", csp-backup="https://backup.example.com/csp-reports"',
+        };
+
+        expect(processFn.mock.calls[0][0]).toEqual(
+          expectedHeaders['Content-Security-Policy']
+        );
+        expect(processFn.mock.calls[0][4]).toEqual(expectedHeaders);
+        expect(
+          fileSystem
+            .readFileSync(path.join(WEBPACK_OUTPUT_DIR, '_headers'), 'utf8')
+            .toString()
+        ).toEqual(
+          '/\n' +
+            `  Content-Security-Policy: ${expectedHeaders['Content-Security-Policy']}\n` +
+            `  Reporting-Endpoints: ${expectedHeaders['Reporting-Endpoints']}\n` +
+            '/index.html\n' +
+            `  Content-Security-Policy: ${expectedHeaders['Content-Security-Policy']}\n` +
+            `  Reporting-Endpoints: ${expectedHeaders['Reporting-Endpoints']}\n`
+        );
+        done();
+      });
+    });
+
+    it('points the report-only policy at the same group, with report-sample only where it is enabled', (done) => {
+      const processFn = jest.fn();
+      const config = createWebpackConfig([
+        new HtmlWebpackPlugin({
+          filename: path.join(WEBPACK_OUTPUT_DIR, 'index.html'),
+          template: path.join(
+            __dirname,
+            'test-utils',
+            'fixtures',
+            'with-nothing.html'
+          ),
+        }),
+        new CspHtmlWebpackPlugin(
+          {},
+          {
+            ...testOptions,
+            processFn,
+            reportOnlyPolicy: { 'script-src': "'self'" },
+            reporting: {
+              ...reporting,
+              reportSample: { 'script-src': true },
+            },
+          }
+        ),
+      ]);
+
+      webpackCompile(config, () => {
+        expect(
+          processFn.mock.calls[0][4]['Content-Security-Policy-Report-Only']
+        ).toEqual(
+          "script-src 'self' 'report-sample' 'nonce-mockedbase64string-1'; report-uri https://example.com/csp-reports; report-to csp-endpoint"
+        );
+        expect(processFn.mock.calls[0][4]['Content-Security-Policy']).toEqual(
+          "base-uri 'self';" +
+            " object-src 'none';" +
+            " script-src 'unsafe-inline' 'self' 'unsafe-eval' 'report-sample' 'nonce-mockedbase64string-1';" +
+            " style-src 'unsafe-inline' 'self' 'unsafe-eval' 'nonce-primereact-nonce';" +
+            ' report-uri https://example.com/csp-reports; report-to csp-endpoint'
+        );
+        done();
+      });
+    });
+  });
+
+  describe('Auto discovery', () => {
+    const externalResourceSettings = {
+      template: 'with-external-resources.html',
+    };
+
+    const policy = {
+      'default-src': "'self'",
+      'img-src': ["'self'", 'https://images.example.com'],
+      'form-action': "'self'",
+      'script-src': "'self'",
+      'style-src': "'self'",
+    };
+
+    it('does not add anything to the policy by default', (done) => {
+      webpackCompile(
+        createCspWebpackConfig(policy, testOptions, externalResourceSettings),
+        (csps) => {
+          expect(csps['index.html']).toEqual(
+            "base-uri 'self';" +
+              " object-src 'none';" +
+              " script-src 'self' 'nonce-mockedbase64string-1';" +
+              " style-src 'self' 'nonce-primereact-nonce';" +
+              " default-src 'self';" +
+              " img-src 'self' https://images.example.com;" +
+              " form-action 'self'"
+          );
+          done();
+        }
+      );
+    });
+
+    it('adds the external origins the html loads from to the directives governing them, and warns about what it added', (done) => {
+      const processFn = jest.fn();
+      webpackCompile(
+        createCspWebpackConfig(
+          policy,
+          {
+            ...testOptions,
+            autoDiscover: true,
+            manifestEnabled: true,
+            reportOnlyPolicy: { 'frame-src': 'https://www.youtube.com' },
+            processFn,
+          },
+          externalResourceSettings
+        ),
+        (csps, selectors, fileSystem, errors, warnings) => {
+          const [builtPolicy, , , , headers] = processFn.mock.calls[0];
+          const manifest = JSON.parse(
+            fileSystem
+              .readFileSync(path.join(WEBPACK_OUTPUT_DIR, 'csp-manifest.json'))
+              .toString()
+          );
+
+          // relative and data: urls are left to 'self', and origins which are already allowed aren't added again
+          expect(builtPolicy).toEqual(
+            "base-uri 'self' https://www.example.com;" +
+              " object-src 'none';" +
+              " script-src 'self' 'nonce-mockedbase64string-1';" +
+              " style-src 'self' 'nonce-primereact-nonce';" +
+              " default-src 'self';" +
+              " img-src 'self' https://images.example.com https://cdn.example.com https://static.example.com;" +
+              " form-action 'self' https://forms.example.com;" +
+              " media-src 'self' https://media.example.com;" +
+              " frame-src 'self' https://www.google.com;" +
+              " manifest-src 'self' https://static.example.com"
+          );
+          expect(headers['Content-Security-Policy-Report-Only']).toEqual(
+            'frame-src https://www.youtube.com https://www.google.com'
+          );
+          expect(warnings.map((warning) => warning.message)).toStrictEqual([
+            'CSP: autoDiscover added https://cdn.example.com to img-src, https://static.example.com to img-src, https://media.example.com to media-src, https://www.google.com to frame-src, https://static.example.com to manifest-src, https://forms.example.com to form-action, https://www.example.com to base-uri in the policy for index.html',
+          ]);
+          expect(manifest['index.html'].discovered[0]).toEqual({
+            directive: 'img-src',
+            source: 'https://cdn.example.com',
+            element: {
+              tagName: 'img',
+              attribute: 'srcset',
+              url: '//cdn.example.com/logo@3x.png',
+            },
+          });
+          expect(
+            manifest['index.html'].discovered.map(({ source }) => source)
+          ).toHaveLength(7);
+          done();
+        },
+        { allowWarnings: true }
+      );
+    });
+
+    it('does not add anything to directives which nothing restricts', (done) => {
+      webpackCompile(
+        createCspWebpackConfig(
+          { 'base-uri': null },
+          { ...testOptions, autoDiscover: true },
+          externalResourceSettings
+        ),
+        (csps, selectors, fileSystem, errors, warnings) => {
+          expect(csps['index.html']).toEqual(
+            "object-src 'none';" +
+              " script-src 'unsafe-inline' 'self' 'unsafe-eval' 'nonce-mockedbase64string-1';" +
+              " style-src 'unsafe-inline' 'self' 'unsafe-eval' 'nonce-primereact-nonce'"
+          );
+          expect(warnings).toHaveLength(0);
+          done();
+        }
+      );
+    });
+
+    it('adds the origins and schemes the emitted stylesheets load from, and which stylesheet each came from', (done) => {
+      const config = createWebpackConfig(
+        [
+          new HtmlWebpackPlugin({
+            filename: path.join(WEBPACK_OUTPUT_DIR, 'index.html'),
+            template: path.join(
+              __dirname,
+              'test-utils',
+              'fixtures',
+              'with-nothing.html'
+            ),
+          }),
+          new MiniCssExtractPlugin({ filename: 'index.css' }),
+          new CspHtmlWebpackPlugin(
+            {
+              'default-src': "'self'",
+              'img-src': ["'self'", 'https://images.example.com'],
+              'font-src': "'self'",
+              'script-src': "'self'",
+              'style-src': "'self'",
+            },
+            { ...testOptions, autoDiscover: { css: true } }
+          ),
+        ],
+        undefined,
+        'index-external-urls.js',
+        {
+          module: {
+            rules: [
+              {
+                test: /\.css$/,
+                use: [MiniCssExtractPlugin.loader, 'css-loader'],
+              },
+            ],
+          },
+        }
+      );
+
+      webpackCompile(
+        config,
+        (csps, selectors, fileSystem, errors, warnings) => {
+          // commented out urls and origins which are already allowed aren't added
+          expect(csps['index.html']).toEqual(
+            "base-uri 'self';" +
+              " object-src 'none';" +
+              " script-src 'self' 'nonce-mockedbase64string-1';" +
+              " style-src 'self' 'nonce-mockedbase64string-2' 'nonce-primereact-nonce' https://fonts.googleapis.com;" +
+              " default-src 'self';" +
+              " img-src 'self' https://images.example.com data: https://cdn.example.com;" +
+              " font-src 'self' https://fonts.example.com data:"
+          );
+          expect(warnings.map((warning) => warning.message)).toStrictEqual([
+            'CSP: autoDiscover added https://fonts.googleapis.com to style-src from index.css, https://fonts.example.com to font-src from index.css, data: to font-src from index.css, data: to img-src from index.css, https://cdn.example.com to img-src from index.css in the policy for index.html',
+          ]);
+          done();
+        },
+        { allowWarnings: true }
+      );
+    });
+
+    it("doesn't look through the stylesheets when only html discovery is enabled", (done) => {
+      const config = createWebpackConfig(
+        [
+          new HtmlWebpackPlugin({
+            filename: path.join(WEBPACK_OUTPUT_DIR, 'index.html'),
+            template: path.join(
+              __dirname,
+              'test-utils',
+              'fixtures',
+              'with-nothing.html'
+            ),
+          }),
+          new MiniCssExtractPlugin({ filename: 'index.css' }),
+          new CspHtmlWebpackPlugin(
+            { 'font-src': "'self'" },
+            { ...testOptions, autoDiscover: { html: true } }
+          ),
+        ],
+        undefined,
+        'index-external-urls.js',
+        {
+          module: {
+            rules: [
+              {
+                test: /\.css$/,
+                use: [MiniCssExtractPlugin.loader, 'css-loader'],
+              },
+            ],
+          },
+        }
+      );
+
+      webpackCompile(config, (csps) => {
+        expect(csps['index.html']).toContain("font-src 'self'");
+        expect(csps['index.html']).not.toContain('fonts.googleapis.com');
+        done();
+      });
+    });
+
+    it('throws for an autoDiscover option which does not exist', () => {
+      expect(
+        () => new CspHtmlWebpackPlugin({}, { autoDiscover: { js: true } })
+      ).toThrow(new Error("'js' is not a valid autoDiscover option"));
+    });
+  });
+
+  describe('Connect discovery', () => {
+    const connectSettings = {
+      entry: 'connects.js',
+      plugins: [
+        new webpack.DefinePlugin({
+          'process.env.API_URL': JSON.stringify('https://api.example.com/v1'),
+        }),
+      ],
+    };
+
+    const policy = {
+      'default-src': "'self'",
+      'connect-src': ["'self'", 'https://analytics.example.com'],
+    };
+
+    it('adds the origins the code connects to to connect-src', (done) => {
+      webpackCompile(
+        createCspWebpackConfig(
+          policy,
+          { ...testOptions, autoDiscover: { connect: true } },
+          connectSettings
+        ),
+        (csps, selectors, fileSystem, errors, warnings) => {
+          // relative urls and origins which are already allowed aren't added
+          expect(csps['index.html']).toContain(
+            "connect-src 'self' https://analytics.example.com https://api.example.com https://legacy.example.com wss://live.example.com https://events.example.com"
+          );
+          expect(warnings.map((warning) => warning.message)).toStrictEqual([
+            'CSP: autoDiscover added https://api.example.com to connect-src from ./test-utils/fixtures/connects.js, https://legacy.example.com to connect-src from ./test-utils/fixtures/connects.js, wss://live.example.com to connect-src from ./test-utils/fixtures/connects.js, https://events.example.com to connect-src from ./test-utils/fixtures/connects.js in the policy for index.html',
+          ]);
+          done();
+        },
+        { allowWarnings: true }
+      );
+    });
+
+    it('only warns about the origins, grouped by origin, in suggest mode', (done) => {
+      webpackCompile(
+        createCspWebpackConfig(
+          policy,
+          {
+            ...testOptions,
+            autoDiscover: { connect: 'suggest' },
+            manifestEnabled: true,
+          },
+          connectSettings
+        ),
+        (csps, selectors, fileSystem, errors, warnings) => {
+          const manifest = JSON.parse(
+            fileSystem
+              .readFileSync(path.join(WEBPACK_OUTPUT_DIR, 'csp-manifest.json'))
+              .toString()
+          );
+
+          expect(csps['index.html']).toContain(
+            "connect-src 'self' https://analytics.example.com"
+          );
+          expect(csps['index.html']).not.toContain('https://api.example.com');
+          expect(warnings.map((warning) => warning.message)).toStrictEqual([
+            "CSP: connect-src in the policy for index.html doesn't allow https://api.example.com (fetch in ./test-utils/fixtures/connects.js), https://legacy.example.com (XMLHttpRequest in ./test-utils/fixtures/connects.js), wss://live.example.com (WebSocket in ./test-utils/fixtures/connects.js), https://events.example.com (EventSource in ./test-utils/fixtures/connects.js), which autoDiscover found in its chunks",
+          ]);
+          expect(manifest['index.html'].suggested[0]).toEqual({
+            directive: 'connect-src',
+            source: 'https://api.example.com',
+            module: {
+              name: './test-utils/fixtures/connects.js',
+              api: 'fetch',
+              url: 'https://api.example.com/v1/users',
+            },
+          });
+          done();
+        },
+        { allowWarnings: true }
+      );
+    });
+
+    it('throws for a connect mode which does not exist', () => {
+      expect(
+        () =>
+          new CspHtmlWebpackPlugin({}, { autoDiscover: { connect: 'always' } })
+      ).toThrow(new Error("'always' is not a valid autoDiscover connect mode"));
+    });
+  });
+
+  describe('Workers', () => {
+    const workerSettings = { entry: 'starts-worker.mjs' };
+
+    const policy = {
+      'script-src': "'self'",
+      'worker-src': 'https://workers.example.com',
+    };
+
+    it('adds worker-src for the workers a page starts, and gives each worker the headers of the page', (done) => {
+      webpackCompile(
+        createCspWebpackConfig(
+          policy,
+          { ...testOptions, outputs: ['nginx'] },
+          workerSettings
+        ),
+        (csps, selectors, fileSystem) => {
+          const nginx = fileSystem
+            .readFileSync(
+              path.join(WEBPACK_OUTPUT_DIR, 'nginx-csp-header.conf'),
+              'utf8'
+            )
+            .toString();
+          const headerPolicy =
+            "base-uri 'self';" +
+            " object-src 'none';" +
+            " script-src 'self' 'nonce-mockedbase64string-1';" +
+            " style-src 'unsafe-inline' 'self' 'unsafe-eval' 'nonce-primereact-nonce';" +
+            " worker-src https://workers.example.com 'self'";
+
+          expect(csps['index.html']).toEqual(headerPolicy);
+          expect(nginx).toEqual(
+            [
+              'location = /index.html {',
+              `  add_header Content-Security-Policy "${headerPolicy}" always;`,
+              '}',
+              'location = /1.index.bundle.js {',
+              `  add_header Content-Security-Policy "${headerPolicy}" always;`,
+              '}',
+              '',
+            ].join('\n')
+          );
+          done();
+        }
+      );
+    });
+
+    it("doesn't add anything when the policy already allows the workers", (done) => {
+      webpackCompile(
+        createCspWebpackConfig(
+          { 'script-src': "'self'" },
+          { ...testOptions, outputs: ['nginx'], manifestEnabled: true },
+          workerSettings
+        ),
+        (csps, selectors, fileSystem) => {
+          const manifest = JSON.parse(
+            fileSystem
+              .readFileSync(path.join(WEBPACK_OUTPUT_DIR, 'csp-manifest.json'))
+              .toString()
+          );
+
+          expect(csps['index.html']).not.toContain('worker-src');
+          expect(manifest['index.html'].workers).toEqual(['1.index.bundle.js']);
+          done();
+        }
+      );
+    });
+
+    it('adds the origin and blob: when the workers are loaded from another origin', (done) => {
+      webpackCompile(
+        createCspWebpackConfig(
+          policy,
+          { ...testOptions, outputs: ['nginx'] },
+          { ...workerSettings, publicPath: 'https://cdn.example.com/' }
+        ),
+        (csps) => {
+          expect(csps['index.html']).toContain(
+            'worker-src https://workers.example.com https://cdn.example.com blob:'
+          );
+          done();
+        }
+      );
+    });
+
+    it("creates worker-src from the sources of script-src which mean something to workers, when it isn't defined", (done) => {
+      webpackCompile(
+        createCspWebpackConfig(
+          { 'script-src': "'self' 'unsafe-eval'", 'style-src': "'self'" },
+          {
+            ...testOptions,
+            outputs: ['nginx'],
+            lint: { 'meaningless-source': 'error' },
+          },
+          { ...workerSettings, publicPath: 'https://cdn.example.com/' }
+        ),
+        (csps) => {
+          expect(csps['index.html']).toContain(
+            "script-src 'self' 'unsafe-eval' 'nonce-mockedbase64string-1';"
+          );
+          expect(csps['index.html']).toContain(
+            "worker-src 'self' https://cdn.example.com blob:"
+          );
+          done();
+        }
+      );
+    });
+
+    it('leaves workers alone when workersEnabled is false', (done) => {
+      webpackCompile(
+        createCspWebpackConfig(
+          policy,
+          { ...testOptions, outputs: ['nginx'], workersEnabled: false },
+          workerSettings
+        ),
+        (csps, selectors, fileSystem) => {
+          const nginx = fileSystem
+            .readFileSync(
+              path.join(WEBPACK_OUTPUT_DIR, 'nginx-csp-header.conf'),
+              'utf8'
+            )
+            .toString();
+
+          expect(csps['index.html']).toContain(
+            'worker-src https://workers.example.com'
+          );
+          expect(csps['index.html']).not.toContain(
+            "worker-src https://workers.example.com 'self'"
+          );
+          expect(nginx).not.toContain('1.index.bundle.js');
+          done();
+        }
+      );
+    });
+  });
+
+  describe('webpack nonce', () => {
+    const policy = {
+      'script-src': "'self'",
+      'style-src': "'self'",
+    };
+
+    it('writes a nonce for both script-src and style-src into a meta tag, and injects a module setting __webpack_nonce__ from it', (done) => {
+      webpackCompile(
+        createCspWebpackConfig(policy, {
+          ...testOptions,
+          primeReactEnabled: false,
+          webpackNonceEnabled: true,
+        }),
+        (csps, selectors, fileSystem) => {
+          const $ = selectors['index.html'];
+          const bundle = fileSystem
+            .readFileSync(path.join(WEBPACK_OUTPUT_DIR, 'index.bundle.js'))
+            .toString();
+
+          expect(csps['index.html']).toEqual(
+            "base-uri 'self';" +
+              " object-src 'none';" +
+              " script-src 'self' 'nonce-primereact-nonce' 'nonce-mockedbase64string-1';" +
+              " style-src 'self' 'nonce-mockedbase64string-1'"
+          );
+          expect($('meta[name="csp-nonce"]').attr('nonce')).toEqual(
+            'mockedbase64string-1'
+          );
+          expect(bundle).toContain(
+            'document.querySelector(\'meta[name="csp-nonce"]\')'
+          );
+          expect(bundle).toContain('__webpack_require__.nc = ');
+          done();
+        }
+      );
+    });
+
+    it('injects the module before every other module of the entry', (done) => {
+      let entry;
+      const config = {
+        ...createCspWebpackConfig(policy, {
+          ...testOptions,
+          primeReactEnabled: false,
+          webpackNonceEnabled: true,
+        }),
+        entry: [
+          path.join(__dirname, 'test-utils', 'fixtures', 'common.js'),
+          path.join(__dirname, 'test-utils', 'fixtures', 'index.js'),
+        ],
+      };
+      // webpack reads the entry once every plugin has been applied, so this sees the module we inject
+      config.plugins.push({
+        apply: (compiler) =>
+          compiler.hooks.entryOption.tap('Test', (context, entryOption) => {
+            entry = entryOption;
+          }),
+      });
+
+      webpackCompile(config, () => {
+        expect(entry.main.import).toEqual([
+          expect.stringContaining('webpack-inject-plugin.loader'),
+          path.join(__dirname, 'test-utils', 'fixtures', 'common.js'),
+          path.join(__dirname, 'test-utils', 'fixtures', 'index.js'),
+        ]);
+        done();
+      });
+    });
+
+    it('only adds the nonce to the directives which nonces are enabled for, and writes the nonce placeholder in placeholder mode', (done) => {
+      webpackCompile(
+        createCspWebpackConfig(policy, {
+          ...testOptions,
+          primeReactEnabled: false,
+          webpackNonceEnabled: true,
+          nonceEnabled: { 'style-src': false },
+          nonceMode: 'placeholder',
+        }),
+        (csps, selectors) => {
+          const $ = selectors['index.html'];
+
+          expect(csps['index.html']).toContain(
+            "script-src 'self' 'nonce-__CSP_NONCE__';"
+          );
+          expect(csps['index.html']).toMatch(/style-src 'self'$/);
+          expect($('meta[name="csp-nonce"]').attr('nonce')).toEqual(
+            '__CSP_NONCE__'
+          );
+          done();
+        }
+      );
+    });
+
+    it("doesn't add the meta tag or the module by default", (done) => {
+      webpackCompile(
+        createCspWebpackConfig(policy, {
+          ...testOptions,
+          primeReactEnabled: false,
+        }),
+        (csps, selectors, fileSystem) => {
+          const $ = selectors['index.html'];
+          const bundle = fileSystem
+            .readFileSync(path.join(WEBPACK_OUTPUT_DIR, 'index.bundle.js'))
+            .toString();
+
+          expect($('meta[name="csp-nonce"]').length).toEqual(0);
+          expect(bundle).not.toContain('__webpack_require__.nc = ');
+          done();
+        }
+      );
+    });
+  });
+
+  describe('CSS-in-JS adapters', () => {
+    const policy = {
+      'script-src': "'self'",
+      'style-src': "'self'",
+    };
+
+    const cssNonceSettings = { entry: 'uses-css-nonce.js' };
+
+    it('throws if an invalid adapter is used', () => {
+      expect(() => {
+        // eslint-disable-next-line no-new
+        new CspHtmlWebpackPlugin(
+          {},
+          {
+            cssInJs: ['invalid'],
+          }
+        );
+      }).toThrow(new Error(`'invalid' is not a valid CSS-in-JS adapter`));
+    });
+
+    it('writes the style nonce into a meta tag, and reads process.env.REACT_APP_CSS_NONCE from it at runtime for PrimeReact', (done) => {
+      webpackCompile(
+        createCspWebpackConfig(policy, testOptions, cssNonceSettings),
+        (csps, selectors, fileSystem) => {
+          const $ = selectors['index.html'];
+          const bundle = fileSystem
+            .readFileSync(path.join(WEBPACK_OUTPUT_DIR, 'index.bundle.js'))
+            .toString();
+
+          expect(csps['index.html']).toEqual(
+            "base-uri 'self';" +
+              " object-src 'none';" +
+              " script-src 'self' 'nonce-mockedbase64string-1';" +
+              " style-src 'self' 'nonce-primereact-nonce'"
+          );
+          expect($('meta[name="csp-nonce"]').attr('nonce')).toEqual(
+            'primereact-nonce'
+          );
+          expect($('meta[name="csp-nonce"]').attr('content')).toBeUndefined();
+          expect(bundle).toContain(
+            'document.querySelector(\'meta[name="csp-nonce"]\')'
+          );
+          expect(bundle).not.toContain('primereact-nonce');
+          expect(bundle).not.toContain('__webpack_require__.nc = ');
+          done();
+        }
+      );
+    });
+
+    it('creates a new nonce for every build', (done) => {
+      const config = createCspWebpackConfig(
+        policy,
+        testOptions,
+        cssNonceSettings
+      );
+
+      webpackCompile(config, (firstCsps) => {
+        webpackCompile(config, (secondCsps, selectors) => {
+          expect(firstCsps['index.html']).toContain(
+            "style-src 'self' 'nonce-primereact-nonce'"
+          );
+          expect(secondCsps['index.html']).toContain(
+            "style-src 'self' 'nonce-mockedbase64string-2'"
+          );
+          expect(
+            selectors['index.html']('meta[name="csp-nonce"]').attr('nonce')
+          ).toEqual('mockedbase64string-2');
+          done();
+        });
+      });
+    });
+
+    it('sets __webpack_nonce__ for styled-components and writes the content attribute for JSS', (done) => {
+      webpackCompile(
+        createCspWebpackConfig(
+          policy,
+          {
+            ...testOptions,
+            primeReactEnabled: false,
+            cssInJs: ['styled-components', 'jss'],
+          },
+          cssNonceSettings
+        ),
+        (csps, selectors, fileSystem) => {
+          const $ = selectors['index.html'];
+          const bundle = fileSystem
+            .readFileSync(path.join(WEBPACK_OUTPUT_DIR, 'index.bundle.js'))
+            .toString();
+
+          expect(csps['index.html']).toContain(
+            "style-src 'self' 'nonce-primereact-nonce'"
+          );
+          expect($('meta[name="csp-nonce"]').attr('content')).toEqual(
+            'primereact-nonce'
+          );
+          expect(bundle).toContain('__webpack_require__.nc = ');
+          expect(bundle).toContain(
+            'module.exports = process.env.REACT_APP_CSS_NONCE;'
+          );
+          done();
+        }
+      );
+    });
+
+    it('injects the module setting __webpack_nonce__ once, before every other module of the entry', (done) => {
+      let entry;
+      const config = {
+        ...createCspWebpackConfig(
+          policy,
+          {
+            ...testOptions,
+            primeReactEnabled: false,
+            cssInJs: ['styled-components'],
+            webpackNonceEnabled: true,
+          },
+          cssNonceSettings
+        ),
+        entry: [
+          path.join(__dirname, 'test-utils', 'fixtures', 'common.js'),
+          path.join(__dirname, 'test-utils', 'fixtures', 'uses-css-nonce.js'),
+        ],
+      };
+      // webpack reads the entry once every plugin has been applied, so this sees the module we inject
+      config.plugins.push({
+        apply: (compiler) =>
+          compiler.hooks.entryOption.tap('Test', (context, entryOption) => {
+            entry = entryOption;
+          }),
+      });
+
+      webpackCompile(config, () => {
+        expect(entry.main.import).toEqual([
+          expect.stringContaining('webpack-inject-plugin.loader'),
+          path.join(__dirname, 'test-utils', 'fixtures', 'common.js'),
+          path.join(__dirname, 'test-utils', 'fixtures', 'uses-css-nonce.js'),
+        ]);
+        expect(
+          registry[entry.main.import[0].match(/\?id=([^!]+)!/)[1]]()
+        ).toContain('meta[name="csp-nonce"]');
+        done();
+      });
+    });
+
+    it('uses the CSS-in-JS nonce for webpack too, since both are read from the same meta tag', (done) => {
+      webpackCompile(
+        createCspWebpackConfig(
+          policy,
+          { ...testOptions, webpackNonceEnabled: true },
+          cssNonceSettings
+        ),
+        (csps, selectors) => {
+          const $ = selectors['index.html'];
+
+          expect(csps['index.html']).toEqual(
+            "base-uri 'self';" +
+              " object-src 'none';" +
+              " script-src 'self' 'nonce-mockedbase64string-1' 'nonce-primereact-nonce';" +
+              " style-src 'self' 'nonce-primereact-nonce'"
+          );
+          expect($('meta[name="csp-nonce"]')).toHaveLength(1);
+          expect($('meta[name="csp-nonce"]').attr('nonce')).toEqual(
+            'primereact-nonce'
+          );
+          done();
+        }
+      );
+    });
+
+    it('writes the nonce placeholder in placeholder mode, even when nonces are disabled for style-src', (done) => {
+      webpackCompile(
+        createCspWebpackConfig(
+          policy,
+          {
+            ...testOptions,
+            nonceMode: 'placeholder',
+            nonceEnabled: { 'style-src': false },
+          },
+          cssNonceSettings
+        ),
+        (csps, selectors) => {
+          expect(csps['index.html']).toContain(
+            "style-src 'self' 'nonce-__CSP_NONCE__'"
+          );
+          expect(
+            selectors['index.html']('meta[name="csp-nonce"]').attr('nonce')
+          ).toEqual('__CSP_NONCE__');
+          done();
+        }
+      );
+    });
+
+    it("doesn't add the nonce or the meta tag without an adapter", (done) => {
+      webpackCompile(
+        createCspWebpackConfig(
+          policy,
+          { ...testOptions, primeReactEnabled: false },
+          cssNonceSettings
+        ),
+        (csps, selectors, fileSystem) => {
+          const bundle = fileSystem
+            .readFileSync(path.join(WEBPACK_OUTPUT_DIR, 'index.bundle.js'))
+            .toString();
+
+          expect(csps['index.html']).toContain("style-src 'self'");
+          expect(csps['index.html']).not.toContain("style-src 'self' 'nonce-");
+          expect(
+            selectors['index.html']('meta[name="csp-nonce"]').length
+          ).toEqual(0);
+          expect(bundle).not.toContain('meta[name="csp-nonce"]');
+          done();
+        }
+      );
+    });
+  });
+
+  describe('Eval check', () => {
+    it("errors when the policy doesn't allow the eval a module uses, naming the modules", (done) => {
+      webpackCompile(
+        createCspWebpackConfig(
+          { 'script-src': "'self'" },
+          { ...testOptions, evalCheckEnabled: true },
+          { entry: 'uses-eval.js' }
+        ),
+        (csps, selectors, fileSystem, errors, warnings) => {
+          expect(errors.map((error) => error.message)).toStrictEqual([
+            "CSP: script-src in the policy for index.html doesn't allow 'unsafe-eval', which is needed by eval in ./test-utils/fixtures/uses-eval.js, new Function in ./test-utils/fixtures/uses-eval.js, setTimeout with a string in ./test-utils/fixtures/uses-eval.js",
+          ]);
+          expect(warnings).toHaveLength(0);
+          done();
+        },
+        { expectError: true }
+      );
+    });
+
+    it("warns when the policy allows 'unsafe-eval' but nothing uses it", (done) => {
+      webpackCompile(
+        createCspWebpackConfig({}, { ...testOptions, evalCheckEnabled: true }),
+        (csps, selectors, fileSystem, errors, warnings) => {
+          expect(warnings.map((warning) => warning.message)).toStrictEqual([
+            "CSP: script-src in the policy for index.html allows 'unsafe-eval', but nothing in its chunks needs it, so it can be removed",
+          ]);
+          done();
+        },
+        { allowWarnings: true }
+      );
+    });
+
+    it("suggests 'wasm-unsafe-eval' in place of 'unsafe-eval' when only WebAssembly needs it", (done) => {
+      webpackCompile(
+        createCspWebpackConfig(
+          {},
+          { ...testOptions, evalCheckEnabled: true },
+          { entry: 'uses-wasm.js' }
+        ),
+        (csps, selectors, fileSystem, errors, warnings) => {
+          expect(warnings.map((warning) => warning.message)).toStrictEqual([
+            "CSP: script-src in the policy for index.html allows 'unsafe-eval', but nothing in its chunks needs it, so it can be replaced with 'wasm-unsafe-eval'",
+          ]);
+          done();
+        },
+        { allowWarnings: true }
+      );
+    });
+
+    it("errors when WebAssembly is compiled without 'wasm-unsafe-eval'", (done) => {
+      webpackCompile(
+        createCspWebpackConfig(
+          { 'script-src': "'self'" },
+          { ...testOptions, evalCheckEnabled: true },
+          { entry: 'uses-wasm.js' }
+        ),
+        (csps, selectors, fileSystem, errors) => {
+          expect(errors.map((error) => error.message)).toStrictEqual([
+            "CSP: script-src in the policy for index.html doesn't allow 'wasm-unsafe-eval', which is needed by WebAssembly.compile in ./test-utils/fixtures/uses-wasm.js",
+          ]);
+          done();
+        },
+        { expectError: true }
+      );
+    });
+
+    it('counts an eval devtool as using eval', (done) => {
+      webpackCompile(
+        createCspWebpackConfig(
+          { 'script-src': ["'self'", "'unsafe-eval'"] },
+          { ...testOptions, evalCheckEnabled: true },
+          {
+            extraWebpackConfig: {
+              devtool: 'eval-source-map',
+            },
+          }
+        ),
+        (csps, selectors, fileSystem, errors, warnings) => {
+          expect(errors).toHaveLength(0);
+          expect(warnings).toHaveLength(0);
+          done();
+        }
+      );
+    });
+
+    it('does not check anything by default', (done) => {
+      webpackCompile(
+        createWebpackConfig(
+          [
+            new HtmlWebpackPlugin({
+              filename: path.join(WEBPACK_OUTPUT_DIR, 'index.html'),
+              template: path.join(
+                __dirname,
+                'test-utils',
+                'fixtures',
+                'with-nothing.html'
+              ),
+            }),
+            new CspHtmlWebpackPlugin({ 'script-src': "'self'" }, testOptions),
+          ],
+          undefined,
+          'uses-eval.js'
+        ),
+        (csps) => {
+          expect(csps['index.html']).toContain("script-src 'self'");
+          done();
+        }
+      );
+    });
+  });
+
   describe('HTML parsing', () => {
     it("doesn't encode escaped HTML entities", (done) => {
       const config = createWebpackConfig([
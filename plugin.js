@@ -5,9 +5,64 @@ const compact = require('lodash/compact');
 const flatten = require('lodash/flatten');
 const isFunction = require('lodash/isFunction');
 const get = require('lodash/get');
+const omitBy = require('lodash/omitBy');
+const isNil = require('lodash/isNil');
 const webpack = require('webpack');
 const { SubresourceIntegrityPlugin } = require('webpack-subresource-integrity');
-const InjectPlugin = require('webpack-inject-plugin').default;
+const { default: InjectPlugin, ENTRY_ORDER } = require('webpack-inject-plugin');
+const {
+  toUrlPath,
+  normalizeOutputs,
+  renderOutputs,
+  emitOrUpdateAsset,
+} = require('./lib/outputs');
+const {
+  addPolicySources,
+  addSources,
+  getEffectiveDirective,
+  headerOnlyDirectives,
+  isElementSourceEnabled,
+  isSourceEnabled,
+  mergePolicies,
+  splitSources,
+  toMetaPolicy,
+  validateMergeStrategy,
+} = require('./lib/directives');
+const { validateDirectives } = require('./lib/validate');
+const { normalizeLint, lintPolicy } = require('./lib/lint');
+const { presets: namedPresets } = require('./lib/presets');
+const {
+  normalizeReporting,
+  addReporting,
+  buildReportingEndpoints,
+} = require('./lib/reporting');
+const {
+  integrations,
+  validateIntegrationPacks,
+  getIntegrations,
+} = require('./lib/integrations');
+const {
+  isDevServer,
+  getDevServerSources,
+  createDevServerMiddleware,
+} = require('./lib/dev-server');
+const {
+  normalizeAutoDiscover,
+  discoverHtmlSources,
+  discoverStylesheetSources,
+  tapConnectUrls,
+  discoverConnectSources,
+  addDiscoveredSources,
+} = require('./lib/discover');
+const { getPageWorkers, getWorkerSources } = require('./lib/workers');
+const { tapEvalUsages, checkEval } = require('./lib/eval');
+const { getIntegrityHashes } = require('./lib/match');
+const {
+  readNonceExpression,
+  cssInJsAdapters,
+  getCssInJsAdapters,
+  webpackNonceScript,
+} = require('./lib/css-in-js');
 
 /* eslint-disable no-useless-escape */
 
@@ -27,6 +82,7 @@ try {
 /**
  * The default function for adding the CSP to the head of a document
  * Can be overwritten to allow the developer to process the CSP in their own way
+ * Browsers ignore the header-only directives in a meta tag, so they are left out of it
  * @param {string} builtPolicy
  * @param {object} htmlPluginData
  * @param {object} $
@@ -43,7 +99,7 @@ const defaultProcessFn = (builtPolicy, htmlPluginData, $) => {
   }
 
   // build the policy into the context attr of the csp meta tag
-  metaTag.attr('content', builtPolicy);
+  metaTag.attr('content', toMetaPolicy(builtPolicy));
 
   // eslint-disable-next-line no-param-reassign
   htmlPluginData.html = get(htmlPluginData, 'plugin.options.xhtml', false)
@@ -51,6 +107,23 @@ const defaultProcessFn = (builtPolicy, htmlPluginData, $) => {
     : $.html();
 };
 
+/**
+ * Writes a nonce into the <meta name="csp-nonce"> tag at the top of the head, which the modules we inject read it from
+ * The nonce attribute is hidden from the DOM once the policy is applied, so it can't be read by injected css.
+ * @param {object} $ - the Cheerio instance
+ * @param {string} nonce - the nonce
+ * @return {object} - the meta tag
+ */
+const setNonceMeta = ($, nonce) => {
+  let metaTag = $('meta[name="csp-nonce"]');
+  if (!metaTag.length) {
+    metaTag = cheerio.load('<meta name="csp-nonce">')('meta');
+    metaTag.prependTo($('head'));
+  }
+  metaTag.attr('nonce', nonce);
+  return metaTag;
+};
+
 const defaultPolicy = {
   'base-uri': "'self'",
   'object-src': "'none'",
@@ -58,6 +131,17 @@ const defaultPolicy = {
   'style-src': ["'unsafe-inline'", "'self'", "'unsafe-eval'"],
 };
 
+/**
+ * Placeholder syntaxes for common template engines, which can be used as the noncePlaceholder
+ * so the server can substitute a fresh nonce into the html for every response
+ */
+const noncePlaceholders = {
+  ejs: '<%= cspNonce %>',
+  handlebars: '{{cspNonce}}',
+  // eslint-disable-next-line no-template-curly-in-string
+  jsp: '${cspNonce}',
+};
+
 const defaultAdditionalOpts = {
   enabled: true,
   integrityEnabled: true,
@@ -72,7 +156,42 @@ const defaultAdditionalOpts = {
     'script-src': true,
     'style-src': true,
   },
+  nonceMode: 'random',
+  noncePlaceholder: '__CSP_NONCE__',
   processFn: defaultProcessFn,
+  reportOnlyPolicy: null,
+  outputs: [],
+  manifestEnabled: false,
+  manifestFilename: 'csp-manifest.json',
+  experimentalDirectives: [],
+  lint: false,
+  preset: null,
+  mergeStrategy: {},
+  integrations: [],
+  integrationPacks: {},
+  devServerEnabled: true,
+  devServerHeaders: false,
+  unsafeHashesEnabled: false,
+  integrityHashEnabled: false,
+  reporting: null,
+  autoDiscover: false,
+  evalCheckEnabled: false,
+  workersEnabled: true,
+  webpackNonceEnabled: false,
+  cssInJs: [],
+};
+
+/**
+ * The policy presets which can be used as a starting point instead of the default policy
+ * legacy gives the same policy and hash / nonce settings as not using a preset at all
+ */
+const presets = {
+  ...namedPresets,
+  legacy: {
+    policy: defaultPolicy,
+    hashEnabled: defaultAdditionalOpts.hashEnabled,
+    nonceEnabled: defaultAdditionalOpts.nonceEnabled,
+  },
 };
 
 class CspHtmlWebpackPlugin {
@@ -82,14 +201,57 @@ class CspHtmlWebpackPlugin {
    * @param {object} additionalOpts - additional config options - see defaultAdditionalOpts above for options available
    */
   constructor(policy = {}, additionalOpts = {}) {
-    // the policy passed in from the CspHtmlWebpackPlugin instance
+    // the policy passed in from the CspHtmlWebpackPlugin instance, which can be a function of each page
     this.cspPluginPolicy = Object.freeze(policy);
 
+    // the preset the policy and hash / nonce settings are layered on top of
+    const preset = additionalOpts.preset || defaultAdditionalOpts.preset;
+    if (preset && !presets[preset]) {
+      throw new Error(`'${preset}' is not a valid preset`);
+    }
+    this.basePolicy = preset ? presets[preset].policy : defaultPolicy;
+
     // the additional options that this plugin allows
-    this.opts = Object.freeze({ ...defaultAdditionalOpts, ...additionalOpts });
+    this.opts = Object.freeze({
+      ...defaultAdditionalOpts,
+      ...additionalOpts,
+      ...(preset && {
+        hashEnabled: {
+          ...presets[preset].hashEnabled,
+          ...additionalOpts.hashEnabled,
+        },
+        nonceEnabled: {
+          ...presets[preset].nonceEnabled,
+          ...additionalOpts.nonceEnabled,
+        },
+      }),
+    });
+
+    // the header config files we want to emit alongside the html, and the header rules collected for each compilation
+    this.outputs = normalizeOutputs(this.opts.outputs);
+    this.headerRules = new WeakMap();
+
+    // the CSP manifest built up for each compilation
+    this.manifests = new WeakMap();
+
+    // the headers of each html file served by webpack-dev-server, keyed by url path
+    this.devServerPageHeaders = new Map();
 
-    // special NONCE for PrimeReact inline styles
-    this.primeReactInlineNonce = this.createNonce();
+    // the level of each lint rule, or null if we aren't linting the policy
+    this.lintLevels = normalizeLint(this.opts.lint);
+
+    // the endpoints violations are reported to, or null if the plugin isn't managing reporting
+    this.reporting = normalizeReporting(this.opts.reporting);
+
+    // what autoDiscover looks through for the external origins a page loads from
+    this.autoDiscover = normalizeAutoDiscover(this.opts.autoDiscover);
+
+    // the CSS-in-JS libraries given the style nonce at runtime, and the nonce created for each compilation
+    this.cssInJsAdapters = getCssInJsAdapters(
+      this.opts.cssInJs,
+      this.opts.primeReactEnabled
+    );
+    this.cssInJsNonces = new WeakMap();
 
     // valid hashes from https://developer.mozilla.org/en-US/docs/Web/HTTP/Headers/Content-Security-Policy/script-src#Sources
     if (!['sha256', 'sha384', 'sha512'].includes(this.opts.hashingMethod)) {
@@ -97,11 +259,28 @@ class CspHtmlWebpackPlugin {
         `'${this.opts.hashingMethod}' is not a valid hashing method`
       );
     }
+
+    validateMergeStrategy(this.opts.mergeStrategy);
+
+    // make sure the integrations used by every page exist, so we fail before the build has started
+    validateIntegrationPacks(this.opts.integrationPacks);
+    getIntegrations(this.opts.integrations, this.opts.integrationPacks);
+
+    if (!['random', 'placeholder'].includes(this.opts.nonceMode)) {
+      throw new Error(`'${this.opts.nonceMode}' is not a valid nonce mode`);
+    }
+
+    // the token written instead of a nonce in placeholder mode, which can be one of our template engine syntaxes
+    this.noncePlaceholder =
+      noncePlaceholders[this.opts.noncePlaceholder] ||
+      this.opts.noncePlaceholder;
   }
 
   /**
    * Builds options based on settings passed into the CspHtmlWebpackPlugin instance, and the HtmlWebpackPlugin instance
-   * Policy: combines default, csp instance and html webpack instance policies defined. Latter policy rules always override former
+   * Policy: combines default (or preset), csp instance and html webpack instance policies defined. Latter policy rules override former,
+   * unless the mergeStrategy for the directive is to append or remove sources. Either policy can be a (possibly async) function
+   * of the htmlPluginData and compilation
    * HashEnabled: sets whether we should add hashes for inline scripts/styles
    * NonceEnabled: sets whether we should add nonce attrs for external scripts/styles
    * @param {object} compilation - the webpack compilation object
@@ -109,46 +288,217 @@ class CspHtmlWebpackPlugin {
    * @param {function} compileCb - the callback function to continue webpack compilation
    */
   mergeOptions(compilation, htmlPluginData, compileCb) {
-    // 1. Let's create the policy we want to use for this HtmlWebpackPlugin instance
-    // CspHtmlWebpackPlugin and HtmlWebpackPlugin policies merged
-    const userPolicy = Object.freeze({
-      ...this.cspPluginPolicy,
-      ...get(htmlPluginData, 'plugin.options.cspPlugin.policy', {}),
-    });
+    const policies = [
+      this.cspPluginPolicy,
+      get(htmlPluginData, 'plugin.options.cspPlugin.policy', {}),
+    ].map((policy) =>
+      // called in a promise, so a function which throws fails the compilation like one which rejects
+      isFunction(policy)
+        ? Promise.resolve().then(() => policy(htmlPluginData, compilation))
+        : policy
+    );
 
-    // defaultPolicy and userPolicy merged
-    this.policy = Object.freeze({ ...defaultPolicy, ...userPolicy });
+    Promise.all(policies)
+      .then(([cspPluginPolicy, htmlPluginPolicy]) => {
+        const mergeStrategy = Object.freeze({
+          ...this.opts.mergeStrategy,
+          ...get(htmlPluginData, 'plugin.options.cspPlugin.mergeStrategy', {}),
+        });
+        validateMergeStrategy(mergeStrategy);
 
-    // and now validate it
-    this.validatePolicy(compilation);
+        // 1. Let's create the policy we want to use for this HtmlWebpackPlugin instance
+        // defaultPolicy (or the preset policy), CspHtmlWebpackPlugin and HtmlWebpackPlugin policies merged, where a directive set to null is removed
+        this.policy = Object.freeze(
+          omitBy(
+            [cspPluginPolicy, htmlPluginPolicy].reduce(
+              (merged, policy) =>
+                mergePolicies(merged, policy || {}, mergeStrategy),
+              this.basePolicy
+            ),
+            isNil
+          )
+        );
 
-    // 2. Lets set which hashes and nonces are enabled for this HtmlWebpackPlugin instance
-    this.hashEnabled = Object.freeze({
-      ...this.opts.hashEnabled,
-      ...get(htmlPluginData, 'plugin.options.cspPlugin.hashEnabled', {}),
-    });
+        // add the sources needed by the third party services used by this HtmlWebpackPlugin instance
+        const integrationNames = uniq([
+          ...this.opts.integrations,
+          ...get(htmlPluginData, 'plugin.options.cspPlugin.integrations', []),
+        ]);
+        this.policy = Object.freeze(
+          this.addIntegrations(this.policy, integrationNames)
+        );
 
-    this.nonceEnabled = Object.freeze({
-      ...this.opts.nonceEnabled,
-      ...get(htmlPluginData, 'plugin.options.cspPlugin.nonceEnabled', {}),
-    });
+        // which integrations need each of their sources, so lint can name them when it flags one
+        this.integrationSources = getIntegrations(
+          integrationNames,
+          this.opts.integrationPacks
+        ).reduce(
+          (sources, { policy }, index) =>
+            flatten(
+              Object.values(policy).map((value) => splitSources(value))
+            ).reduce(
+              (obj, source) => ({
+                ...obj,
+                [source]: uniq([
+                  ...(obj[source] || []),
+                  integrationNames[index],
+                ]),
+              }),
+              sources
+            ),
+          {}
+        );
 
-    // 3. Get the processFn for this HtmlWebpackPlugin instance.
-    this.processFn = get(
-      htmlPluginData,
-      'plugin.options.cspPlugin.processFn',
-      this.opts.processFn
+        // point the policy at the reporting group, so report-uri, report-to and the Reporting-Endpoints header agree
+        if (this.reporting) {
+          this.policy = Object.freeze(
+            addReporting(this.policy, this.reporting)
+          );
+        }
+
+        // and now validate it
+        this.validatePolicy(compilation);
+
+        // the report-only policy is only made up of what the user has defined, since it's a policy they are trialling
+        const reportOnlyPolicy = omitBy(
+          mergePolicies(
+            this.opts.reportOnlyPolicy || {},
+            get(
+              htmlPluginData,
+              'plugin.options.cspPlugin.reportOnlyPolicy',
+              {}
+            ),
+            mergeStrategy
+          ),
+          isNil
+        );
+        this.reportOnlyPolicy = Object.keys(reportOnlyPolicy).length
+          ? Object.freeze(
+              this.reporting
+                ? addReporting(reportOnlyPolicy, this.reporting)
+                : reportOnlyPolicy
+            )
+          : null;
+
+        if (this.reportOnlyPolicy) {
+          this.validatePolicy(compilation, this.reportOnlyPolicy);
+        }
+
+        // 2. Lets set which hashes and nonces are enabled for this HtmlWebpackPlugin instance
+        this.hashEnabled = Object.freeze({
+          ...this.opts.hashEnabled,
+          ...get(htmlPluginData, 'plugin.options.cspPlugin.hashEnabled', {}),
+        });
+
+        this.nonceEnabled = Object.freeze({
+          ...this.opts.nonceEnabled,
+          ...get(htmlPluginData, 'plugin.options.cspPlugin.nonceEnabled', {}),
+        });
+
+        // 3. Loosen the policy just enough for webpack-dev-server to work
+        this.devServer = this.opts.devServerEnabled && isDevServer(compilation);
+        this.inlineStyles = false;
+        if (this.devServer) {
+          this.addDevServerSources(compilation, htmlPluginData);
+        }
+
+        // 4. Get the processFn for this HtmlWebpackPlugin instance.
+        this.processFn = get(
+          htmlPluginData,
+          'plugin.options.cspPlugin.processFn',
+          this.opts.processFn
+        );
+      })
+      .then(
+        () => compileCb(null, htmlPluginData),
+        (err) => compileCb(err)
+      );
+  }
+
+  /**
+   * Adds the sources needed by webpack-dev-server (hot module replacement, eval devtools and style-loader) to the policies
+   * of this HtmlWebpackPlugin instance, and warns about what has been added so it doesn't go unnoticed
+   * @param {object} compilation - the webpack compilation object
+   * @param {object} htmlPluginData - the HtmlWebpackPlugin data object
+   */
+  addDevServerSources(compilation, htmlPluginData) {
+    const { sources: devServerSources, inlineStyles } = getDevServerSources(
+      compilation.options
     );
 
-    return compileCb(null, htmlPluginData);
+    // the injected <style> tags are governed by style-src-elem instead when it's defined
+    const sources =
+      inlineStyles && !isNil(this.policy['style-src-elem'])
+        ? {
+            ...devServerSources,
+            'style-src-elem': devServerSources['style-src'],
+          }
+        : devServerSources;
+
+    // only the directives which restrict something need the extra sources
+    const added = Object.keys(sources)
+      .filter((directive) => getEffectiveDirective(this.policy, directive))
+      .map((directive) => `${directive} ${sources[directive].join(' ')}`);
+
+    this.policy = Object.freeze(addPolicySources(this.policy, sources));
+    if (this.reportOnlyPolicy) {
+      this.reportOnlyPolicy = Object.freeze(
+        addPolicySources(this.reportOnlyPolicy, sources)
+      );
+    }
+
+    // browsers ignore 'unsafe-inline' when there's a hash or nonce, so the <style> tags injected by style-loader need them turned off
+    if (inlineStyles) {
+      this.inlineStyles = true;
+      this.hashEnabled = Object.freeze({
+        ...this.hashEnabled,
+        'style-src': false,
+      });
+      this.nonceEnabled = Object.freeze({
+        ...this.nonceEnabled,
+        'style-src': false,
+      });
+    }
+
+    if (added.length) {
+      compilation.warnings.push(
+        new Error(
+          `CSP: webpack-dev-server detected, so the policy for ${
+            htmlPluginData.outputName
+          } has been loosened for development with ${added.join(', ')}${
+            inlineStyles ? ' and no style hashes or nonces' : ''
+          }; set devServerEnabled to false to use the production policy`
+        )
+      );
+    }
+  }
+
+  /**
+   * Adds the sources of each integration to the policy, wherever the directive (or the one it falls back to) restricts them
+   * @param {object} policyObj - the policy object
+   * @param {string[]} names - the integrations to add
+   * @return {object}
+   */
+  addIntegrations(policyObj, names) {
+    return getIntegrations(names, this.opts.integrationPacks).reduce(
+      (merged, { policy }) =>
+        Object.keys(policy).reduce(
+          (obj, directive) =>
+            addSources(obj, directive, splitSources(policy[directive])),
+          merged
+        ),
+      policyObj
+    );
   }
 
   /**
    * Validate the policy by making sure that all static sources have been wrapped in apostrophes
    * i.e. policy should contain 'self' instead of self
+   * Then make sure every directive is one we know about, and every source expression is well formed
    * @param {object} compilation - the webpack compilation object
+   * @param {object} policy - the policy to validate, defaults to the policy of the current HtmlWebpackPlugin instance
    */
-  validatePolicy(compilation) {
+  validatePolicy(compilation, policy = this.policy) {
     const staticSources = [
       'self',
       'unsafe-inline',
@@ -161,10 +511,10 @@ class CspHtmlWebpackPlugin {
       (source) => new RegExp(`\\s${source}\\s`)
     );
 
-    Object.keys(this.policy).forEach((key) => {
-      const val = Array.isArray(this.policy[key])
-        ? compact(uniq(this.policy[key])).join(' ')
-        : this.policy[key];
+    Object.keys(policy).forEach((key) => {
+      const val = Array.isArray(policy[key])
+        ? compact(uniq(policy[key])).join(' ')
+        : policy[key];
 
       for (let i = 0, len = sourcesRegexes.length; i < len; i += 1) {
         if (` ${val} `.match(sourcesRegexes[i])) {
@@ -176,6 +526,16 @@ class CspHtmlWebpackPlugin {
         }
       }
     });
+
+    const { errors, warnings } = validateDirectives(
+      policy,
+      this.opts.experimentalDirectives,
+      staticSources
+    );
+    errors.forEach((error) => compilation.errors.push(new Error(error)));
+    warnings.forEach((warning) =>
+      compilation.warnings.push(new Error(warning))
+    );
   }
 
   /**
@@ -214,50 +574,203 @@ class CspHtmlWebpackPlugin {
   /**
    * Generates nonces for the policy / selector we define
    * @param {object} $ - the Cheerio instance
-   * @param {string} policyName - one of 'script-src' and 'style-src'
+   * @param {string} policyName - one of 'script-src' and 'style-src', which also covers their -elem variants
    * @param {string} selector - a Cheerio selector string for getting the hashable elements for this policy
    * @return {string[]}
    */
   setNonce($, policyName, selector) {
-    if (this.nonceEnabled[policyName] === false) {
+    if (!isElementSourceEnabled(this.nonceEnabled, policyName)) {
       // we don't want to add any nonce for this specific policy
       return [];
     }
 
-    const policy = this.policy[policyName];
-    const policyStr = Array.isArray(policy) ? policy.join(' ') : policy;
+    // the urls are checked against every directive governing the elements, i.e. policyName and its -elem variant
+    const policyStr = uniq(
+      compact([
+        getEffectiveDirective(this.policy, policyName),
+        getEffectiveDirective(this.policy, `${policyName}-elem`),
+      ])
+    ).map((directive) => splitSources(this.policy[directive]).join(' '));
 
-    // get a list of already defined urls for this policy type
-    const urls = policyStr.match(/https?:\/\/[^'"]+/g) || [];
+    // get a list of already defined urls for each directive
+    const urls = policyStr.map((str) => str.match(/https?:\/\/[^'"]+/g) || []);
 
     // check if the user has defined 'strict-dynamic' in their policy
     // if so, we will need to include the nonce even if the domain has been whitelisted for it
-    const hasStrictDynamic = policyStr.includes("'strict-dynamic'");
+    const hasStrictDynamic = policyStr.some((str) =>
+      str.includes("'strict-dynamic'")
+    );
+
+    const integrityHashEnabled = this.isIntegrityHashEnabled(policyName);
 
     return $(selector)
       .map((i, element) => {
-        // get the src/href and check if it's already been whitelisted by the user.
+        // scripts with an integrity attribute are allowed by their hashes instead, see getIntegrityShas
+        if (integrityHashEnabled && getIntegrityHashes($, element).length) {
+          return null;
+        }
+
+        // get the src/href and check if it's already been whitelisted by the user in every directive governing it.
         // if it has, and the dev hasn't defined strict-dynamic, there's no reason to add a nonce for it
         if (!hasStrictDynamic) {
           const srcOrHref = $(element).attr('src') || $(element).attr('href');
-          for (let j = 0, len = urls.length; j < len; j += 1) {
-            if (srcOrHref.startsWith(urls[j])) {
-              return null;
-            }
+          if (
+            urls.length &&
+            urls.every((directiveUrls) =>
+              directiveUrls.some((url) => srcOrHref.startsWith(url))
+            )
+          ) {
+            return null;
           }
         }
 
-        // create a nonce, and attach to the script tag
-        const nonce = this.createNonce();
+        // create a nonce (or use the placeholder the server will substitute), and attach to the script tag
+        const nonce =
+          this.opts.nonceMode === 'placeholder'
+            ? this.noncePlaceholder
+            : this.createNonce();
         $(element).attr('nonce', nonce);
 
-        // return in the format csp needs
-        return `'nonce-${nonce}'`;
+        // return in the format csp needs, keeping track of which element it was created for
+        const source = `'nonce-${nonce}'`;
+        this.provenance.nonces.push({
+          directive: policyName,
+          source,
+          element: {
+            tagName: element.tagName,
+            index: i,
+            src: $(element).attr('src') || $(element).attr('href') || null,
+          },
+        });
+        return source;
       })
       .filter((entry) => entry !== null)
       .get();
   }
 
+  /**
+   * Generates the nonce webpack adds to the chunks and styles it inserts at runtime, and writes it into the nonce meta tag
+   * for the module we inject to read into __webpack_nonce__
+   * The same nonce has to be in both script-src and style-src, since style-loader uses it for <style> tags too.
+   * @param {object} $ - the Cheerio instance
+   * @param {string|null} cssInJsNonce - the nonce already in the meta tag for CSS-in-JS libraries, which is used for webpack too
+   * @return {object} - a <string, string[]> object of the nonce sources for script-src and style-src
+   */
+  setWebpackNonce($, cssInJsNonce) {
+    const directives = ['script-src', 'style-src'].filter((policyName) =>
+      isElementSourceEnabled(this.nonceEnabled, policyName)
+    );
+    if (!directives.length) {
+      return {};
+    }
+
+    let nonce = cssInJsNonce;
+    if (!nonce) {
+      nonce =
+        this.opts.nonceMode === 'placeholder'
+          ? this.noncePlaceholder
+          : this.createNonce();
+      setNonceMeta($, nonce);
+    }
+
+    const source = `'nonce-${nonce}'`;
+    return directives.reduce((sources, directive) => {
+      this.provenance.nonces.push({
+        directive,
+        source,
+        element: { tagName: 'meta', index: 0, src: null },
+      });
+      return { ...sources, [directive]: [source] };
+    }, {});
+  }
+
+  /**
+   * Writes the nonce for the <style> tags CSS-in-JS libraries insert at runtime into the nonce meta tag, which our adapters
+   * read it from
+   * It's created once for each compilation, so it changes with every build, or is the placeholder the server substitutes
+   * a fresh nonce for on every response.
+   * @param {object} compilation - the webpack compilation object
+   * @param {object} $ - the Cheerio instance
+   * @return {string[]} - the nonce source for style-src
+   */
+  setCssInJsNonce(compilation, $) {
+    if (!this.cssInJsNonces.has(compilation)) {
+      this.cssInJsNonces.set(
+        compilation,
+        this.opts.nonceMode === 'placeholder'
+          ? this.noncePlaceholder
+          : this.createNonce()
+      );
+    }
+    const nonce = this.cssInJsNonces.get(compilation);
+
+    const metaTag = setNonceMeta($, nonce);
+    // JSS only reads the content attribute, which unlike the nonce attribute can be read by injected css, so it's
+    // only written when a library needs it
+    if (this.cssInJsAdapters.some((adapter) => adapter.content)) {
+      metaTag.attr('content', nonce);
+    }
+
+    const source = `'nonce-${nonce}'`;
+    this.provenance.nonces.push({
+      directive: 'style-src',
+      source,
+      element: { tagName: 'meta', index: 0, src: null },
+    });
+    return [source];
+  }
+
+  /**
+   * Checks whether external scripts should be allowed by the hashes in their integrity attribute rather than a nonce
+   * Browsers only match hashes against the integrity of scripts, so stylesheets always keep their nonce.
+   * Every directive governing the scripts needs hashes enabled, or the scripts would be blocked without a nonce.
+   * @param {string} policyName - one of 'script-src' and 'style-src'
+   * @return {boolean}
+   */
+  isIntegrityHashEnabled(policyName) {
+    return (
+      this.opts.integrityHashEnabled &&
+      policyName === 'script-src' &&
+      [policyName, `${policyName}-elem`]
+        .filter(
+          (directive) =>
+            directive === policyName || !isNil(this.policy[directive])
+        )
+        .every((directive) => isSourceEnabled(this.hashEnabled, directive))
+    );
+  }
+
+  /**
+   * Gets the hashes of the external scripts which have an integrity attribute, to allow them without a nonce
+   * Browsers only allow the script when every hash in its integrity attribute is in the policy, so all of them are added.
+   * @param {object} $ - the Cheerio instance
+   * @param {string} policyName - one of 'script-src' and 'style-src'
+   * @param {string} selector - a Cheerio selector string for getting the external elements for this policy
+   * @return {string[]}
+   */
+  getIntegrityShas($, policyName, selector) {
+    if (!this.isIntegrityHashEnabled(policyName)) {
+      return [];
+    }
+
+    const shas = [];
+    $(selector).each((i, element) => {
+      getIntegrityHashes($, element).forEach((source) => {
+        this.provenance.hashes.push({
+          directive: policyName,
+          source,
+          element: {
+            tagName: element.tagName,
+            index: i,
+            src: $(element).attr('src'),
+          },
+        });
+        shas.push(source);
+      });
+    });
+    return uniq(shas);
+  }
+
   /**
    * Hashes a string using the hashing method we have opted for and then base64 encodes the result
    * @param {string} str - the string to hash
@@ -275,21 +788,135 @@ class CspHtmlWebpackPlugin {
   /**
    * Calculates shas of the policy / selector we define
    * @param {object} $ - the Cheerio instance
-   * @param {string} policyName - one of 'script-src' and 'style-src'
+   * @param {string} policyName - one of 'script-src' and 'style-src', which also covers their -elem variants
    * @param {string} selector - a Cheerio selector string for getting the hashable elements for this policy
    * @return {string[]}
    */
   getShas($, policyName, selector) {
-    if (this.hashEnabled[policyName] === false) {
+    if (!isElementSourceEnabled(this.hashEnabled, policyName)) {
       // we don't want to add any nonce for this specific policy
       return [];
     }
 
     return $(selector)
-      .map((i, element) => this.hash($(element).html()))
+      .map((i, element) => {
+        const content = $(element).html();
+        const source = this.hash(content);
+
+        // keep track of which element this hash was generated from
+        this.provenance.hashes.push({
+          directive: policyName,
+          source,
+          element: {
+            tagName: element.tagName,
+            index: i,
+            content: content.trim().slice(0, 50),
+          },
+        });
+        return source;
+      })
       .get();
   }
 
+  /**
+   * Calculates shas of the inline event handler (for script-src) or style (for style-src) attributes, so they can be allowed
+   * with 'unsafe-hashes' instead of 'unsafe-inline'
+   * @param {object} $ - the Cheerio instance
+   * @param {string} policyName - one of 'script-src' and 'style-src'
+   * @return {string[]}
+   */
+  getAttributeShas($, policyName) {
+    if (
+      !this.opts.unsafeHashesEnabled ||
+      !isSourceEnabled(this.hashEnabled, `${policyName}-attr`)
+    ) {
+      return [];
+    }
+
+    const isAttribute =
+      policyName === 'script-src'
+        ? (name) => /^on[a-z]+$/i.test(name)
+        : (name) => name === 'style';
+
+    const shas = [];
+    $('*').each((i, element) => {
+      Object.keys(element.attribs)
+        .filter(isAttribute)
+        .forEach((attribute) => {
+          // browsers hash the value with any entities decoded, which we parse without decoding
+          const content = cheerio
+            .load(
+              `<p data-value="${$(element)
+                .attr(attribute)
+                .replace(/"/g, '&quot;')}"></p>`
+            )('p')
+            .attr('data-value');
+          const source = this.hash(content);
+
+          this.provenance.hashes.push({
+            directive: `${policyName}-attr`,
+            source,
+            element: {
+              tagName: element.tagName,
+              index: shas.length,
+              attribute,
+              content: content.trim().slice(0, 50),
+            },
+          });
+          shas.push(source);
+        });
+    });
+    return shas;
+  }
+
+  /**
+   * Works out which directives the hashes and nonces generated for elements need adding to
+   * They always go into policyName, which browsers without CSP Level 3 support use for elements, and into its -elem variant when the
+   * policy defines it, since that then governs elements instead. Either can have hashes or nonces disabled with hashEnabled / nonceEnabled.
+   * @param {object} policyObj - the policy object the sources will be added to
+   * @param {object} elementSources - a <string, {hashes: string[], nonces: string[], bundleNonces: string[], attributeHashes: string[]}> object of
+   * 'script-src' / 'style-src' to the sources generated, where bundleNonces are always added
+   * @return {object} - a <string, string[]> object of directive names to the sources to add to them
+   */
+  getElementSources(policyObj, elementSources) {
+    return Object.keys(elementSources).reduce((sources, policyName) => {
+      const {
+        hashes,
+        nonces,
+        bundleNonces = [],
+        attributeHashes = [],
+      } = elementSources[policyName];
+
+      // attribute hashes only work with 'unsafe-hashes', which goes into the -attr directive when it's defined, or else the one it falls back to
+      const attributeDirective = isNil(policyObj[`${policyName}-attr`])
+        ? policyName
+        : `${policyName}-attr`;
+      const attributeSources = attributeHashes.length
+        ? ["'unsafe-hashes'", ...attributeHashes]
+        : [];
+
+      return [policyName, `${policyName}-elem`]
+        .filter(
+          (directive) =>
+            directive === policyName || !isNil(policyObj[directive])
+        )
+        .reduce(
+          (obj, directive) => ({
+            ...obj,
+            [directive]: [
+              ...(isSourceEnabled(this.hashEnabled, directive) ? hashes : []),
+              ...(isSourceEnabled(this.nonceEnabled, directive) ? nonces : []),
+              ...bundleNonces,
+              ...(directive === attributeDirective ? attributeSources : []),
+            ],
+          }),
+          attributeDirective === policyName
+            ? sources
+            : { ...sources, [attributeDirective]: attributeSources }
+        );
+    }, {});
+  }
+
   /**
    * Builds the CSP policy by flattening arrays into strings and appending all policies into a single string
    * @param policyObj
@@ -334,6 +961,16 @@ class CspHtmlWebpackPlugin {
       return compileCb(null, htmlPluginData);
     }
 
+    // keeps track of the elements each hash and nonce was generated for
+    this.provenance = { hashes: [], nonces: [] };
+
+    // the nonce for the styles CSS-in-JS libraries insert at runtime, which is added whether or not nonces are enabled
+    // for the html, since the libraries don't know about nonceEnabled
+    const bundleNonces =
+      this.cssInJsAdapters.length && !this.inlineStyles
+        ? this.setCssInJsNonce(compilation, $)
+        : [];
+
     // get all nonces for script and style tags
     // get all nonces for linked script and style tags
     const scriptNonce = this.setNonce(
@@ -342,31 +979,278 @@ class CspHtmlWebpackPlugin {
       'script[src], [data-csp="script-src"]'
     );
     const styleNonce = this.setNonce($, 'style-src', 'link[rel="stylesheet"]');
-    if (this.opts.primeReactEnabled) {
-      styleNonce.push(`'nonce-${this.primeReactInlineNonce}'`);
-    }
+
+    // the nonce for the chunks and styles webpack inserts at runtime, which is read from the same meta tag as the CSS-in-JS one
+    const webpackNonce = this.opts.webpackNonceEnabled
+      ? this.setWebpackNonce(
+          $,
+          bundleNonces.length ? this.cssInJsNonces.get(compilation) : null
+        )
+      : {};
 
     // get all shas for script and style tags
     const scriptShas = this.getShas($, 'script-src', 'script:not([src])');
     const styleShas = this.getShas($, 'style-src', 'style:not([href])');
 
-    const builtPolicy = this.buildPolicy({
-      ...this.policy,
-      'script-src': flatten([this.policy['script-src']]).concat(
-        scriptShas,
-        scriptNonce
-      ),
-      'style-src': flatten([this.policy['style-src']]).concat(
-        styleShas,
-        styleNonce
+    // get all shas for external scripts which are allowed by their integrity rather than a nonce
+    const scriptIntegrityShas = this.getIntegrityShas(
+      $,
+      'script-src',
+      'script[src], [data-csp="script-src"]'
+    );
+
+    // get all shas for inline event handlers and style attributes, if they are to be allowed with 'unsafe-hashes'
+    const scriptAttributeShas = this.getAttributeShas($, 'script-src');
+    const styleAttributeShas = this.getAttributeShas($, 'style-src');
+    if (scriptAttributeShas.length || styleAttributeShas.length) {
+      compilation.warnings.push(
+        new Error(
+          `CSP: ${scriptAttributeShas.length} inline event handler(s) and ${styleAttributeShas.length} style attribute(s) in ${htmlPluginData.outputName} have been allowed with 'unsafe-hashes', move them into scripts and stylesheets so it can be removed`
+        )
+      );
+    }
+
+    // add the hashes and nonces to both the enforced and report-only policies
+    const elementSources = {
+      'script-src': {
+        hashes: [...scriptShas, ...scriptIntegrityShas],
+        nonces: [...scriptNonce, ...(webpackNonce['script-src'] || [])],
+        attributeHashes: scriptAttributeShas,
+      },
+      'style-src': {
+        hashes: styleShas,
+        nonces: [...styleNonce, ...(webpackNonce['style-src'] || [])],
+        bundleNonces,
+        attributeHashes: styleAttributeShas,
+      },
+    };
+    // find the external origins the page loads images, media, frames and so on from, if they are to be added automatically
+    // the origins the code connects to are only warned about in suggest mode
+    const connectSources = this.autoDiscover.connect
+      ? discoverConnectSources(
+          compilation,
+          get(htmlPluginData, 'plugin.options', {})
+        )
+      : [];
+    const discovered = [
+      ...(this.autoDiscover.html ? discoverHtmlSources($) : []),
+      ...(this.autoDiscover.css
+        ? discoverStylesheetSources(
+            compilation,
+            get(htmlPluginData, 'plugin.options', {})
+          )
+        : []),
+      ...(this.autoDiscover.connect === 'suggest' ? [] : connectSources),
+    ];
+    // the workers the page starts need worker-src, which nothing in the html shows
+    const workers = this.opts.workersEnabled
+      ? getPageWorkers(compilation, get(htmlPluginData, 'plugin.options', {}))
+      : [];
+    const workerSources = getWorkerSources(compilation, workers);
+    // added before the hashes and nonces, so a worker-src created from script-src doesn't copy the ones of this page
+    const workerPolicy = addDiscoveredSources(this.policy, workerSources);
+
+    const added = [];
+    const policyObj = addDiscoveredSources(
+      addPolicySources(
+        workerPolicy,
+        this.getElementSources(workerPolicy, elementSources)
       ),
-    });
+      discovered,
+      added
+    );
+    if (added.length) {
+      compilation.warnings.push(
+        new Error(
+          `CSP: autoDiscover added ${uniq(
+            added.map(
+              ({ directive, source, stylesheet, module }) =>
+                `${source} to ${directive}${
+                  stylesheet || module
+                    ? ` from ${stylesheet ? stylesheet.filename : module.name}`
+                    : ''
+                }`
+            )
+          ).join(', ')} in the policy for ${htmlPluginData.outputName}`
+        )
+      );
+    }
+
+    const suggested = [];
+    if (this.autoDiscover.connect === 'suggest') {
+      // each is checked against the policy on its own, so every module using an origin is listed
+      connectSources.forEach((entry) =>
+        addDiscoveredSources(policyObj, [entry], suggested)
+      );
+    }
+    if (suggested.length) {
+      const origins = uniq(suggested.map(({ source }) => source));
+      compilation.warnings.push(
+        new Error(
+          `CSP: connect-src in the policy for ${
+            htmlPluginData.outputName
+          } doesn't allow ${origins
+            .map(
+              (origin) =>
+                `${origin} (${uniq(
+                  suggested
+                    .filter(({ source }) => source === origin)
+                    .map(({ module }) => `${module.api} in ${module.name}`)
+                ).join(', ')})`
+            )
+            .join(', ')}, which autoDiscover found in its chunks`
+        )
+      );
+    }
+
+    // make sure the policy allows the eval the page's code needs, and nothing more
+    if (this.opts.evalCheckEnabled) {
+      checkEval(compilation, htmlPluginData, policyObj);
+    }
+
+    // flag anything which weakens the final policy, at the level the developer configured for each rule
+    if (this.lintLevels) {
+      lintPolicy(policyObj, this.lintLevels, {
+        integrationSources: this.integrationSources,
+      }).forEach(({ rule, level, message }) => {
+        const problems =
+          level === 'error' ? compilation.errors : compilation.warnings;
+        problems.push(
+          new Error(
+            `CSP: lint ${rule} for ${htmlPluginData.outputName}: ${message}`
+          )
+        );
+      });
+    }
+
+    const builtPolicy = this.buildPolicy(policyObj);
+    const headers = { 'Content-Security-Policy': builtPolicy };
 
-    this.processFn(builtPolicy, htmlPluginData, $, compilation);
+    // whether the headers will reach the browser, either through our outputs, the dev server or the developer's processFn
+    const headersDelivered =
+      this.processFn !== defaultProcessFn ||
+      this.outputs.length > 0 ||
+      (this.devServer && this.opts.devServerHeaders);
+
+    const metaIgnoredDirectives = headerOnlyDirectives.filter(
+      (directive) => policyObj[directive] !== undefined
+    );
+    if (metaIgnoredDirectives.length && !headersDelivered) {
+      compilation.warnings.push(
+        new Error(
+          `CSP: ${metaIgnoredDirectives.join(', ')} in the policy for ${
+            htmlPluginData.outputName
+          } are ignored by browsers in a meta tag, so have been removed from it; configure outputs or a processFn to send them in a header`
+        )
+      );
+    }
+
+    let reportOnlyPolicyObj = null;
+    if (this.reportOnlyPolicy) {
+      const reportOnlyWorkerPolicy = addDiscoveredSources(
+        this.reportOnlyPolicy,
+        workerSources
+      );
+      reportOnlyPolicyObj = addDiscoveredSources(
+        addPolicySources(
+          reportOnlyWorkerPolicy,
+          this.getElementSources(reportOnlyWorkerPolicy, elementSources)
+        ),
+        discovered
+      );
+      headers['Content-Security-Policy-Report-Only'] =
+        this.buildPolicy(reportOnlyPolicyObj);
+
+      // browsers ignore report-only policies delivered in a meta tag, so it needs to end up in a header
+      if (!headersDelivered) {
+        compilation.warnings.push(
+          new Error(
+            `CSP: the report-only policy for ${htmlPluginData.outputName} can only be delivered in a header, configure outputs or a processFn to send it`
+          )
+        );
+      }
+    }
+
+    if (this.reporting) {
+      headers['Reporting-Endpoints'] = buildReportingEndpoints(this.reporting);
+    }
+
+    this.processFn(builtPolicy, htmlPluginData, $, compilation, headers);
+
+    // dedicated workers get their policy from the headers of their own script, so they get the same headers as the page
+    if (this.devServer) {
+      [htmlPluginData.outputName, ...workers].forEach((filename) =>
+        this.devServerPageHeaders.set(toUrlPath(filename), headers)
+      );
+    }
+
+    this.emitOutputs(compilation, htmlPluginData, headers, workers);
+
+    this.emitManifest(compilation, htmlPluginData, {
+      policy: policyObj,
+      builtPolicy: toMetaPolicy(builtPolicy),
+      reportOnlyPolicy: reportOnlyPolicyObj,
+      headers,
+      noncePlaceholder:
+        this.opts.nonceMode === 'placeholder' ? this.noncePlaceholder : null,
+      ...this.provenance,
+      ...(this.opts.autoDiscover && { discovered: added }),
+      ...(this.autoDiscover.connect === 'suggest' && { suggested }),
+      ...(workers.length && { workers }),
+    });
 
     return compileCb(null, htmlPluginData);
   }
 
+  /**
+   * Adds the policy, hashes and nonces for this HtmlWebpackPlugin instance to the CSP manifest and (re)emits it
+   * @param {object} compilation - the webpack compilation object
+   * @param {object} htmlPluginData - the HtmlWebpackPlugin data object
+   * @param {object} entry - the manifest entry for this page
+   */
+  emitManifest(compilation, htmlPluginData, entry) {
+    if (!this.opts.manifestEnabled) {
+      return;
+    }
+
+    const manifest = {
+      ...this.manifests.get(compilation),
+      [toUrlPath(htmlPluginData.outputName).slice(1)]: entry,
+    };
+    this.manifests.set(compilation, manifest);
+
+    emitOrUpdateAsset(
+      compilation,
+      this.opts.manifestFilename,
+      JSON.stringify(manifest, null, 2)
+    );
+  }
+
+  /**
+   * Adds the headers for this HtmlWebpackPlugin instance to the rules for the compilation,
+   * and (re)emits every configured header config file so that all pages end up merged into one file per output
+   * @param {object} compilation - the webpack compilation object
+   * @param {object} htmlPluginData - the HtmlWebpackPlugin data object
+   * @param {object} headers - a <string, string> object of header names to values for this page
+   * @param {string[]} [workers] - the worker scripts the page starts, which are given the same headers
+   */
+  emitOutputs(compilation, htmlPluginData, headers, workers = []) {
+    if (!this.outputs.length) {
+      return;
+    }
+
+    const urlPaths = [htmlPluginData.outputName, ...workers].map(toUrlPath);
+    const rules = (this.headerRules.get(compilation) || []).filter(
+      (rule) => !urlPaths.includes(rule.path)
+    );
+    urlPaths.forEach((urlPath) => rules.push({ path: urlPath, headers }));
+    this.headerRules.set(compilation, rules);
+
+    renderOutputs(this.outputs, rules).forEach(({ filename, content }) =>
+      emitOrUpdateAsset(compilation, filename, content)
+    );
+  }
+
   /**
    * Hooks into webpack to collect assets and hash them, build the policy, and add it into our HTML template
    * @param compiler
@@ -383,21 +1267,81 @@ class CspHtmlWebpackPlugin {
       );
     });
 
-    // special handling for PrimeReact inline styles
-    if (this.opts.enabled && this.opts.primeReactEnabled) {
-      const definitions = {};
-      definitions['process.env.REACT_APP_CSS_NONCE'] = JSON.stringify(
-        this.primeReactInlineNonce
+    // find the modules which use eval and the urls they connect to, so each page's policy can be checked against what
+    // its code needs
+    const parserTaps = [
+      ...(this.opts.evalCheckEnabled ? [tapEvalUsages] : []),
+      ...(this.autoDiscover.connect ? [tapConnectUrls] : []),
+    ];
+    if (this.opts.enabled && parserTaps.length) {
+      compiler.hooks.normalModuleFactory.tap(
+        'CspHtmlWebpackPlugin',
+        (normalModuleFactory) =>
+          ['javascript/auto', 'javascript/dynamic', 'javascript/esm'].forEach(
+            (type) =>
+              normalModuleFactory.hooks.parser
+                .for(type)
+                .tap('CspHtmlWebpackPlugin', (parser) =>
+                  parserTaps.forEach((tap) =>
+                    tap(parser, 'CspHtmlWebpackPlugin')
+                  )
+                )
+          )
+      );
+    }
+
+    // serve the policy of each html file as a header from webpack-dev-server, before it serves the html itself
+    const { devServer } = compiler.options;
+    if (this.opts.enabled && this.opts.devServerHeaders && devServer) {
+      const { setupMiddlewares } = devServer;
+      devServer.setupMiddlewares = (middlewares, server) => {
+        const result = setupMiddlewares
+          ? setupMiddlewares(middlewares, server)
+          : middlewares;
+        result.unshift({
+          name: 'csp-html-webpack-plugin',
+          middleware: createDevServerMiddleware(this.devServerPageHeaders),
+        });
+        return result;
+      };
+    }
+
+    // give the CSS-in-JS libraries the nonce from the page at runtime, through whichever api each of them reads it from
+    if (this.opts.enabled && this.cssInJsAdapters.length) {
+      const definitions = this.cssInJsAdapters.reduce(
+        (obj, adapter) =>
+          (adapter.definitions || []).reduce(
+            (adapterObj, definition) => ({
+              ...adapterObj,
+              [definition]: readNonceExpression,
+            }),
+            obj
+          ),
+        {}
       );
-      new webpack.DefinePlugin(definitions).apply(compiler);
+      if (Object.keys(definitions).length) {
+        new webpack.DefinePlugin(definitions).apply(compiler);
+      }
     }
 
+    // set __webpack_nonce__ from the nonce meta tag first in every entry, so the modules before the last one (e.g. polyfills),
+    // the chunks webpack loads and the styles style-loader and the CSS-in-JS libraries insert all get the nonce
+    if (
+      this.opts.enabled &&
+      (this.opts.webpackNonceEnabled ||
+        this.cssInJsAdapters.some((adapter) => adapter.webpackNonce))
+    ) {
+      new InjectPlugin(() => webpackNonceScript, {
+        entryOrder: ENTRY_ORDER.First,
+      }).apply(compiler);
+    }
     // add SHA384 integrity attributes to JS and CSS files
     if (this.opts.enabled && this.opts.integrityEnabled) {
       new SubresourceIntegrityPlugin().apply(compiler);
     }
 
     // add default TrustedTypes policy which uses DOMPurify to sanitize HTML
+    // a policy function is only called for each page, so it can't turn this on
     if (
       this.opts.enabled &&
       this.opts.trustedTypesEnabled &&
@@ -417,4 +1361,9 @@ if (window.trustedTypes && window.trustedTypes.createPolicy) {
   }
 }
 
+CspHtmlWebpackPlugin.noncePlaceholders = noncePlaceholders;
+CspHtmlWebpackPlugin.presets = presets;
+CspHtmlWebpackPlugin.integrations = integrations;
+CspHtmlWebpackPlugin.cssInJsAdapters = cssInJsAdapters;
+
 module.exports = CspHtmlWebpackPlugin;
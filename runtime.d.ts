@@ -0,0 +1,9 @@
+/**
+ * Reads the nonce for CSS-in-JS styles, from the
+ * <meta name="csp-nonce"> tag CspHtmlWebpackPlugin writes into each
+ * page when a cssInJs adapter is used, e.g. to give to createCache in
+ * Emotion.
+ * Returns undefined outside the browser, or if the page doesn't have the
+ * meta tag.
+ */
+export function getStyleNonce(): string | undefined;
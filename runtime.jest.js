@@ -0,0 +1,39 @@
+const { getStyleNonce } = require('./runtime');
+
+describe('getStyleNonce', () => {
+  afterEach(() => {
+    delete global.document;
+  });
+
+  /**
+   * Fakes a document with the given csp-nonce meta tag
+   * @param {object|null} meta - the meta tag, or null if the page doesn't have one
+   */
+  const mockDocument = (meta) => {
+    global.document = {
+      querySelector: (selector) =>
+        selector === 'meta[name="csp-nonce"]' ? meta : null,
+    };
+  };
+
+  it('reads the nonce from the nonce property of the meta tag', () => {
+    mockDocument({ nonce: 'abc123', getAttribute: () => null });
+    expect(getStyleNonce()).toEqual('abc123');
+  });
+
+  it('falls back to the content attribute, which JSS reads too', () => {
+    mockDocument({
+      nonce: '',
+      getAttribute: (name) => (name === 'content' ? 'abc123' : null),
+    });
+    expect(getStyleNonce()).toEqual('abc123');
+  });
+
+  it('gives undefined without the meta tag, or outside the browser', () => {
+    mockDocument(null);
+    expect(getStyleNonce()).toBeUndefined();
+
+    delete global.document;
+    expect(getStyleNonce()).toBeUndefined();
+  });
+});
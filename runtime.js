@@ -0,0 +1,13 @@
+const { readNonce } = require('./lib/css-in-js');
+
+/**
+ * Reads the nonce for CSS-in-JS styles, from the <meta name="csp-nonce"> tag CspHtmlWebpackPlugin writes into
+ * each page when a cssInJs adapter is used
+ * This is for libraries which only take the nonce through their own api, e.g. createCache({ key: 'css', nonce }) in Emotion.
+ * @return {string|undefined} - undefined outside the browser, or if the page doesn't have the meta tag
+ */
+const getStyleNonce = () => readNonce();
+
+module.exports = {
+  getStyleNonce,
+};
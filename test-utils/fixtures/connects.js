@@ -0,0 +1,11 @@
+/* global XMLHttpRequest, WebSocket, EventSource, navigator */
+fetch(`${process.env.API_URL}/users`);
+fetch('/relative');
+fetch('https://api.example.com/items');
+
+const xhr = new XMLHttpRequest();
+xhr.open('GET', 'https://legacy.example.com/data');
+
+module.exports.socket = new WebSocket('wss://live.example.com/socket');
+module.exports.events = new EventSource('https://events.example.com/stream');
+navigator.sendBeacon('https://analytics.example.com/beacon', '{}');
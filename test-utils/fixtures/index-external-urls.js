@@ -0,0 +1 @@
+require('./with-external-urls.css');
@@ -0,0 +1 @@
+export default new Worker(new URL('./worker.mjs', import.meta.url));
@@ -0,0 +1,2 @@
+// PrimeReact gives the <style> tags it inserts this nonce
+module.exports = process.env.REACT_APP_CSS_NONCE;
@@ -0,0 +1,9 @@
+// eslint-disable-next-line no-eval
+module.exports.evaluated = eval('1 + 1');
+// eslint-disable-next-line no-new-func
+module.exports.created = new Function('return 1');
+// eslint-disable-next-line no-implied-eval
+setTimeout('document.title = "later"', 0);
+setTimeout(() => {
+  document.title = 'fine';
+}, 0);
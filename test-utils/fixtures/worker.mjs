@@ -0,0 +1 @@
+globalThis.onmessage = (event) => globalThis.postMessage(event.data);
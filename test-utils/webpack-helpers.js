@@ -2,6 +2,8 @@ const path = require('path');
 const webpack = require('webpack');
 const MemoryFs = require('memory-fs');
 const cheerio = require('cheerio');
+const HtmlWebpackPlugin = require('html-webpack-plugin');
+const CspHtmlWebpackPlugin = require('../plugin');
 
 /**
  * Where we want to output our files in the memory filesystem
@@ -15,11 +17,12 @@ const WEBPACK_OUTPUT_DIR = path.join(__dirname, 'dist');
  * @param {function} callbackFn - the function to call when the compilation completes
  * @param {object} [fs] - the filesystem to build webpack into
  * @param {boolean} expectError - whether we expect an error from webpack - if so, pass it through
+ * @param {boolean} allowWarnings - whether we expect warnings from the compilation - if so, pass them through, still testing for no errors
  */
 function webpackCompile(
   webpackConfig,
   callbackFn,
-  { fs = null, expectError = false } = {}
+  { fs = null, expectError = false, allowWarnings = false } = {}
 ) {
   const instance = webpack(webpackConfig);
 
@@ -30,7 +33,9 @@ function webpackCompile(
     if (!expectError) {
       expect(err).toBeFalsy();
       expect(stats.compilation.errors.length).toEqual(0);
-      expect(stats.compilation.warnings.length).toEqual(0);
+      if (!allowWarnings) {
+        expect(stats.compilation.warnings.length).toEqual(0);
+      }
     }
 
     // file all html files and convert them into cheerio objects so they can be queried
@@ -95,8 +100,46 @@ function createWebpackConfig(
   };
 }
 
+/**
+ * Helper to create a webpack config building index.html from a fixture template, with the policy applied by CspHtmlWebpackPlugin
+ * @param {object} policy - the policy to pass into CspHtmlWebpackPlugin
+ * @param {object} options - the options to pass into CspHtmlWebpackPlugin
+ * @param {string} [template] - filename of the fixture to use as the html template
+ * @param {string} [entry] - filename of the entrypoint to use
+ * @param {string} [publicPath] - publicPath setting for webpack
+ * @param {Array} [plugins] - plugins to run between HtmlWebpackPlugin and CspHtmlWebpackPlugin
+ * @param {object} [extraWebpackConfig] - extra config to pass to webpack
+ * @return {{mode: string, output: {path: string, filename: string}, entry: string, plugins: *}}
+ */
+function createCspWebpackConfig(
+  policy,
+  options,
+  {
+    template = 'with-nothing.html',
+    entry = undefined,
+    publicPath = undefined,
+    plugins = [],
+    extraWebpackConfig = undefined,
+  } = {}
+) {
+  return createWebpackConfig(
+    [
+      new HtmlWebpackPlugin({
+        filename: path.join(WEBPACK_OUTPUT_DIR, 'index.html'),
+        template: path.join(__dirname, 'fixtures', template),
+      }),
+      ...plugins,
+      new CspHtmlWebpackPlugin(policy, options),
+    ],
+    publicPath,
+    entry,
+    extraWebpackConfig
+  );
+}
+
 module.exports = {
   WEBPACK_OUTPUT_DIR,
   webpackCompile,
   createWebpackConfig,
+  createCspWebpackConfig,
 };
@@ -0,0 +1,60 @@
+export interface VerifyOptions {
+    /**
+     * The origin the site is served from, which 'self' is matched against.
+     * @default 'http://localhost'
+     */
+    origin?: string | undefined;
+    /**
+     * The filesystem to read from, e.g. the in-memory filesystem of
+     * webpack-dev-middleware.
+     * @default require('fs')
+     */
+    fs?: {
+        readFileSync(path: string, encoding?: string): string | Buffer;
+        readdirSync(path: string): string[];
+        statSync(path: string): { isDirectory(): boolean };
+    } | undefined;
+}
+
+export interface VerifyHtmlOptions extends VerifyOptions {
+    /**
+     * The filename of the html relative to the root, used in the problems
+     * and to resolve relative urls.
+     * @default 'index.html'
+     */
+    filename?: string | undefined;
+    /**
+     * The directory the site is served from, which is needed to check
+     * integrity attributes against the files.
+     */
+    root?: string | undefined;
+}
+
+export interface VerifyProblem {
+    /** The html file, relative to the root */
+    file: string;
+    line: number;
+    /** The directive blocking the element, or null for an integrity problem */
+    directive: string | null;
+    /** The element, e.g. <script src="index.js"> */
+    element: string;
+    message: string;
+}
+
+/**
+ * Verifies that the html satisfies the policy in its Content-Security-Policy
+ * meta tags.
+ */
+export function verifyHtml(
+    html: string,
+    options?: VerifyHtmlOptions
+): VerifyProblem[];
+
+/**
+ * Verifies every html file in a build against its own policy, e.g.
+ * expect(verifyBuild('dist')).toEqual([]).
+ */
+export function verifyBuild(
+    root: string,
+    options?: VerifyOptions
+): VerifyProblem[];
@@ -0,0 +1,325 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const HtmlWebpackPlugin = require('html-webpack-plugin');
+const {
+  WEBPACK_OUTPUT_DIR,
+  createWebpackConfig,
+  webpackCompile,
+} = require('./test-utils/webpack-helpers');
+const CspHtmlWebpackPlugin = require('./plugin');
+const { verifyHtml, verifyBuild } = require('./verify');
+const { run } = require('./lib/cli');
+
+/**
+ * Builds a fixture with the plugin, and passes the memory filesystem the output was written to into the callback
+ * @param {object} policy - the policy for the CspHtmlWebpackPlugin
+ * @param {object} additionalOpts - additional options for the CspHtmlWebpackPlugin
+ * @param {function} callbackFn - called with the filesystem
+ */
+function build(policy, additionalOpts, callbackFn) {
+  const config = createWebpackConfig(
+    [
+      new HtmlWebpackPlugin({
+        filename: path.join(WEBPACK_OUTPUT_DIR, 'index.html'),
+        template: path.join(
+          __dirname,
+          'test-utils',
+          'fixtures',
+          'with-script-and-style.html'
+        ),
+      }),
+      new CspHtmlWebpackPlugin(policy, {
+        integrityEnabled: false,
+        ...additionalOpts,
+      }),
+    ],
+    undefined,
+    'index.js',
+    {
+      output: {
+        path: WEBPACK_OUTPUT_DIR,
+        filename: 'index.bundle.js',
+        crossOriginLoading: 'anonymous',
+      },
+    }
+  );
+
+  webpackCompile(config, (csps, selectors, fileSystem) =>
+    callbackFn(fileSystem)
+  );
+}
+
+const html = (policy, body) =>
+  [
+    '<!doctype html>',
+    '<html>',
+    '<head>',
+    `<meta http-equiv="Content-Security-Policy" content="${policy}">`,
+    '</head>',
+    '<body>',
+    ...body,
+    '</body>',
+    '</html>',
+  ].join('\n');
+
+describe('verifyHtml', () => {
+  it('evaluates every script, style, stylesheet and attribute against the directive in effect for it', () => {
+    const problems = verifyHtml(
+      html(
+        "default-src 'self'; script-src 'self' 'nonce-abc' 'sha256-GoS+sALc+OD1mC2PhbcBv7OU6LLlxXF7dCQRU9RUnF8='; style-src 'self' 'unsafe-inline'",
+        [
+          '<script nonce="abc">window.nonced = true;</script>',
+          '<script>window.allowed = true;</script>',
+          '<script>window.blocked = true;</script>',
+          '<script src="/index.bundle.js"></script>',
+          '<script src="https://cdn.example.com/library.js"></script>',
+          '<script type="application/json">{"data": true}</script>',
+          '<noscript><script>window.never = true;</script></noscript>',
+          '<button onclick="go()" style="color: red">Go</button>',
+          '<style>body { color: red; }</style>',
+          '<link rel="stylesheet" href="https://fonts.example.com/font.css">',
+          '<img src="https://images.example.com/image.png">',
+        ]
+      ),
+      { filename: 'index.html' }
+    );
+
+    expect(problems).toEqual([
+      {
+        file: 'index.html',
+        line: 9,
+        directive: 'script-src',
+        element: '<script>window.blocked = true;',
+        message: 'script-src blocks <script>window.blocked = true;',
+      },
+      {
+        file: 'index.html',
+        line: 11,
+        directive: 'script-src',
+        element: '<script src="https://cdn.example.com/library.js">',
+        message:
+          'script-src blocks <script src="https://cdn.example.com/library.js">',
+      },
+      {
+        file: 'index.html',
+        line: 14,
+        directive: 'script-src',
+        element: '<button onclick="go()">',
+        message: 'script-src blocks <button onclick="go()">',
+      },
+      {
+        file: 'index.html',
+        line: 16,
+        directive: 'style-src',
+        element: '<link href="https://fonts.example.com/font.css">',
+        message:
+          'style-src blocks <link href="https://fonts.example.com/font.css">',
+      },
+    ]);
+  });
+
+  it("ignores host sources and 'unsafe-inline' with 'strict-dynamic', and uses the -elem and -attr directives", () => {
+    const problems = verifyHtml(
+      html(
+        "script-src 'strict-dynamic' 'nonce-abc' 'unsafe-inline' https:; script-src-attr 'unsafe-hashes' 'sha256-5KYv+PUboo5h+0+YAtGRPbwv5d/QxzHslP4YGnUaxRw='; style-src-elem 'none'",
+        [
+          '<script src="https://cdn.example.com/library.js"></script>',
+          '<script nonce="abc" src="https://cdn.example.com/allowed.js"></script>',
+          '<button onclick="go()">Go</button>',
+          '<button onclick="stop()">Stop</button>',
+          '<style>body { color: red; }</style>',
+        ]
+      )
+    );
+
+    expect(problems.map(({ line, message }) => ({ line, message }))).toEqual([
+      {
+        line: 7,
+        message:
+          'script-src blocks <script src="https://cdn.example.com/library.js">',
+      },
+      { line: 10, message: 'script-src-attr blocks <button onclick="stop()">' },
+      {
+        line: 11,
+        message: 'style-src-elem blocks <style>body { color: red; }',
+      },
+    ]);
+  });
+
+  it('allows external scripts by the hashes of their integrity attribute', () => {
+    const problems = verifyHtml(
+      html("script-src 'sha384-abc'", [
+        '<script src="/a.js" integrity="sha384-abc"></script>',
+        '<script src="/b.js" integrity="sha384-def"></script>',
+      ])
+    );
+
+    expect(problems.map(({ line }) => line)).toEqual([8]);
+  });
+
+  it('allows the scheme of the page, or its secure variant, for host sources without a scheme', () => {
+    const problems = verifyHtml(
+      html('script-src cdn.example.com', [
+        '<script src="https://cdn.example.com/a.js"></script>',
+        '<script src="http://cdn.example.com/b.js"></script>',
+      ]),
+      { origin: 'https://www.example.com' }
+    );
+
+    expect(problems.map(({ line, message }) => ({ line, message }))).toEqual([
+      {
+        line: 8,
+        message: 'script-src blocks <script src="http://cdn.example.com/b.js">',
+      },
+    ]);
+    expect(
+      verifyHtml(
+        html('script-src cdn.example.com', [
+          '<script src="https://cdn.example.com/a.js"></script>',
+        ]),
+        { origin: 'http://www.example.com' }
+      )
+    ).toEqual([]);
+  });
+
+  it("reports the urls which can't be checked instead of throwing", () => {
+    const problems = verifyHtml(
+      html("script-src 'self'; style-src https://cdn.example.com/css/", [
+        '<script src="/%E0%A4%A.js"></script>',
+        '<script src="http://[broken/a.js"></script>',
+        '<link rel="stylesheet" href="https://cdn.example.com/css/%E0%A4%A.css">',
+      ]),
+      { filename: 'index.html' }
+    );
+
+    expect(problems).toEqual([
+      {
+        file: 'index.html',
+        line: 7,
+        directive: null,
+        element: '<script src="/%E0%A4%A.js">',
+        message:
+          "/%E0%A4%A.js isn't a valid url, so it can't be checked against the policy",
+      },
+      {
+        file: 'index.html',
+        line: 8,
+        directive: null,
+        element: '<script src="http://[broken/a.js">',
+        message:
+          "http://[broken/a.js isn't a valid url, so it can't be checked against the policy",
+      },
+      {
+        file: 'index.html',
+        line: 9,
+        directive: null,
+        element: '<link href="https://cdn.example.com/css/%E0%A4%A.css">',
+        message:
+          "https://cdn.example.com/css/%E0%A4%A.css isn't a valid url, so it can't be checked against the policy",
+      },
+    ]);
+  });
+
+  it('does not check html without a policy', () => {
+    expect(verifyHtml('<script>window.test = true;</script>')).toEqual([]);
+  });
+});
+
+describe('verifyBuild', () => {
+  it('finds no problems in a build with the default options', (done) => {
+    build({}, {}, (fileSystem) => {
+      expect(verifyBuild(WEBPACK_OUTPUT_DIR, { fs: fileSystem })).toEqual([]);
+      done();
+    });
+  });
+
+  it('finds inline scripts and styles which have been left out of a policy without unsafe-inline', (done) => {
+    build(
+      { 'script-src': "'self'", 'style-src': "'self'" },
+      { hashEnabled: { 'script-src': false, 'style-src': false } },
+      (fileSystem) => {
+        expect(
+          verifyBuild(WEBPACK_OUTPUT_DIR, { fs: fileSystem }).map(
+            ({ file, line, message }) => ({ file, line, message })
+          )
+        ).toEqual([
+          {
+            file: 'index.html',
+            line: 7,
+            message:
+              'style-src blocks <style>body { background-color: #e6e6e6; }',
+          },
+          {
+            file: 'index.html',
+            line: 14,
+            message: "script-src blocks <script>window.test = { prop: 'val' };",
+          },
+        ]);
+        done();
+      }
+    );
+  });
+
+  it('finds integrity attributes which no longer match the file on disk', (done) => {
+    build({}, { integrityEnabled: true }, (fileSystem) => {
+      expect(verifyBuild(WEBPACK_OUTPUT_DIR, { fs: fileSystem })).toEqual([]);
+
+      fileSystem.writeFileSync(
+        path.join(WEBPACK_OUTPUT_DIR, 'index.bundle.js'),
+        'window.changed = true;'
+      );
+
+      expect(
+        verifyBuild(WEBPACK_OUTPUT_DIR, { fs: fileSystem }).map(
+          ({ message }) => message
+        )
+      ).toEqual([
+        "the integrity attribute of /index.bundle.js doesn't match the file on disk",
+      ]);
+      done();
+    });
+  });
+});
+
+describe('verify command', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'csp-verify-'));
+    fs.mkdirSync(path.join(dir, 'nested'));
+    fs.writeFileSync(
+      path.join(dir, 'index.html'),
+      html("script-src 'self'", ['<script src="/index.js"></script>'])
+    );
+    fs.writeFileSync(
+      path.join(dir, 'nested', 'page.html'),
+      html("script-src 'self'", ['<script>window.blocked = true;</script>'])
+    );
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('prints the problems in every html file with their file and line, and fails', () => {
+    let stdout = '';
+    const code = run(['verify', dir], {
+      stdout: {
+        write: (str) => {
+          stdout += str;
+        },
+      },
+    });
+
+    expect(code).toEqual(1);
+    expect(stdout).toEqual(
+      `${path.join(
+        dir,
+        'nested',
+        'page.html'
+      )}:7 script-src blocks <script>window.blocked = true;\n` +
+        '1 problem found\n'
+    );
+  });
+});
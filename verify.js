@@ -0,0 +1,404 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const cheerio = require('cheerio');
+const { getEffectiveDirective } = require('./lib/directives');
+const { urlMatchesSource } = require('./lib/match');
+
+const defaultOptions = {
+  origin: 'http://localhost',
+  fs,
+};
+
+// the script types browsers run, anything else (e.g. application/json) is a data block
+const scriptTypeRegex =
+  /^((text|application)\/(x-)?(java|ecma)script|text\/jscript|module)$/i;
+
+const hashSourceRegex = /^'(sha256|sha384|sha512)-([A-Za-z0-9+/_-]+={0,2})'$/i;
+
+// the hash algorithms in order of strength, since browsers only check integrity metadata using the strongest one
+const hashAlgorithms = ['sha256', 'sha384', 'sha512'];
+
+/**
+ * Parses the policy in a meta tag into a <string, string[]> object of directives to their sources
+ * The first definition of a directive wins, as it does in browsers.
+ * @param {string} content - the content of the meta tag
+ * @return {object}
+ */
+const parsePolicy = (content) =>
+  content.split(';').reduce((policyObj, part) => {
+    const [name, ...sources] = part.trim().split(/\s+/);
+    const directive = name.toLowerCase();
+    return !name || policyObj[directive]
+      ? policyObj
+      : { ...policyObj, [directive]: sources };
+  }, {});
+
+/**
+ * Hashes inline content with each algorithm used by the hash sources of a directive
+ * @param {string[]} hashSources - the hash sources of the directive
+ * @param {string} content - the inline content
+ * @return {boolean} - whether any of them match
+ */
+const contentMatchesHashes = (hashSources, content) =>
+  hashSources.some((source) => {
+    const [, algorithm, digest] = source.match(hashSourceRegex);
+    return (
+      crypto
+        .createHash(algorithm.toLowerCase())
+        .update(content, 'utf8')
+        .digest('base64') === digest
+    );
+  });
+
+/**
+ * Parses integrity metadata into its hashes, ignoring any options
+ * @param {string} integrity - the integrity attribute
+ * @return {Array<{algorithm: string, digest: string}>}
+ */
+const parseIntegrity = (integrity) =>
+  `${integrity || ''}`
+    .trim()
+    .split(/\s+/)
+    .map((metadata) =>
+      metadata.split('?')[0].match(/^(sha256|sha384|sha512)-(.+)$/i)
+    )
+    .filter(Boolean)
+    .map(([, algorithm, digest]) => ({
+      algorithm: algorithm.toLowerCase(),
+      digest,
+    }));
+
+/**
+ * Checks whether an element is allowed by the sources of the directive in effect for it
+ * https://www.w3.org/TR/CSP3/#match-element-to-source-list
+ * @param {string[]} sources - the sources of the directive
+ * @param {object} resource - what the element loads or runs
+ * @param {URL} [resource.url] - the url of an external script or stylesheet
+ * @param {string} [resource.content] - the content of an inline script, style or attribute
+ * @param {string} [resource.nonce] - the nonce attribute of the element
+ * @param {string} [resource.integrity] - the integrity attribute of an external script
+ * @param {boolean} [resource.attribute] - whether the content is from an event handler or style attribute
+ * @param {boolean} [resource.script] - whether the element is a script, which 'strict-dynamic' applies to
+ * @param {URL} self - the url of the page
+ * @return {boolean}
+ */
+const isAllowed = (sources, resource, self) => {
+  const keywords = sources.map((source) => source.toLowerCase());
+  const hashSources = sources.filter((source) => hashSourceRegex.test(source));
+  const hasNonces = keywords.some((source) => source.startsWith("'nonce-"));
+  const strictDynamic =
+    resource.script && keywords.includes("'strict-dynamic'");
+
+  if (
+    !resource.attribute &&
+    resource.nonce &&
+    sources.includes(`'nonce-${resource.nonce}'`)
+  ) {
+    return true;
+  }
+
+  if (resource.url) {
+    // an external script is allowed when the policy has every hash of its integrity metadata
+    const integrity = parseIntegrity(resource.integrity);
+    if (
+      resource.script &&
+      hashSources.length &&
+      integrity.length &&
+      integrity.every(({ algorithm, digest }) =>
+        hashSources.includes(`'${algorithm}-${digest}'`)
+      )
+    ) {
+      return true;
+    }
+
+    return (
+      !strictDynamic &&
+      sources.some((source) => urlMatchesSource(source, resource.url, self))
+    );
+  }
+
+  if (
+    (!resource.attribute || keywords.includes("'unsafe-hashes'")) &&
+    contentMatchesHashes(hashSources, resource.content)
+  ) {
+    return true;
+  }
+
+  // 'unsafe-inline' is ignored once there is a hash or nonce in the directive
+  return (
+    keywords.includes("'unsafe-inline'") &&
+    !hashSources.length &&
+    !hasNonces &&
+    !strictDynamic
+  );
+};
+
+/**
+ * Describes an element for a problem, e.g. <script src="index.js">
+ * @param {object} $ - the Cheerio instance
+ * @param {object} element - the element
+ * @param {string} [attribute] - the attribute the problem is with
+ * @return {string}
+ */
+const describeElement = ($, element, attribute) => {
+  const el = $(element);
+  if (attribute) {
+    return `<${element.tagName} ${attribute}="${el.attr(attribute)}">`;
+  }
+  if (el.attr('src') || el.attr('href')) {
+    return el.attr('src')
+      ? `<${element.tagName} src="${el.attr('src')}">`
+      : `<${element.tagName} href="${el.attr('href')}">`;
+  }
+  return `<${element.tagName}>${el
+    .html()
+    .trim()
+    .replace(/\s+/g, ' ')
+    .slice(0, 40)}`;
+};
+
+/**
+ * Verifies that the html satisfies the policy in its Content-Security-Policy meta tags, evaluating every script,
+ * style, stylesheet, event handler and style attribute against the directive in effect for it.
+ * External scripts and stylesheets on the same origin as the page have their integrity attribute checked against
+ * the file on disk when the root is given.
+ * @param {string} html - the html
+ * @param {object} [options]
+ * @param {string} [options.filename] - the filename of the html relative to the root, used for the problems and to resolve urls
+ * @param {string} [options.root] - the directory the site is served from, which is needed to check integrity attributes
+ * @param {string} [options.origin] - the origin the site is served from, which 'self' is matched against
+ * @param {object} [options.fs] - the filesystem to read files from
+ * @return {Array<{file: string, line: number, directive: string|null, element: string, message: string}>}
+ */
+const verifyHtml = (html, options = {}) => {
+  const {
+    filename = 'index.html',
+    root,
+    origin,
+    fs: fileSystem,
+  } = { ...defaultOptions, ...options };
+  const file = filename.split(path.sep).join('/');
+  const self = new URL(file, `${origin.replace(/\/$/, '')}/`);
+
+  const $ = cheerio.load(html, {
+    decodeEntities: false,
+    _useHtmlParser2: true,
+    withStartIndices: true,
+  });
+  const getLine = (element) =>
+    html.slice(0, element.startIndex).split('\n').length;
+
+  const policies = $('meta[http-equiv="Content-Security-Policy" i]')
+    .map((i, element) => parsePolicy($(element).attr('content') || ''))
+    .get();
+
+  // scripts and styles in noscript and template elements never run
+  const elements = $('*')
+    .filter((i, element) => !$(element).closest('noscript, template').length)
+    .get();
+
+  const problems = [];
+  const addProblem = (element, directive, message, attribute) =>
+    problems.push({
+      file,
+      line: getLine(element),
+      directive,
+      element: describeElement($, element, attribute),
+      message,
+    });
+
+  const check = (element, directiveName, resource, attribute) =>
+    policies.forEach((policyObj) => {
+      const directive = getEffectiveDirective(policyObj, directiveName);
+      if (directive && !isAllowed(policyObj[directive], resource, self)) {
+        addProblem(
+          element,
+          directive,
+          `${directive} blocks ${describeElement($, element, attribute)}`,
+          attribute
+        );
+      }
+    });
+
+  // the url an element loads, or null when it isn't one which can be checked, which is reported instead
+  const resolveUrl = (element, value) => {
+    try {
+      const url = new URL(value, self);
+      decodeURIComponent(url.pathname);
+      return url;
+    } catch (e) {
+      addProblem(
+        element,
+        null,
+        `${value} isn't a valid url, so it can't be checked against the policy`
+      );
+      return null;
+    }
+  };
+
+  const checkIntegrity = (element, url) => {
+    const integrity = parseIntegrity($(element).attr('integrity'));
+    if (!root || !integrity.length || url.origin !== self.origin) {
+      return;
+    }
+
+    const assetPath = path.join(root, decodeURIComponent(url.pathname));
+    let content;
+    try {
+      content = fileSystem.readFileSync(assetPath);
+    } catch (e) {
+      addProblem(
+        element,
+        null,
+        `${url.pathname} has an integrity attribute but doesn't exist in ${root}`
+      );
+      return;
+    }
+
+    const algorithm = hashAlgorithms
+      .filter((name) => integrity.some((hash) => hash.algorithm === name))
+      .pop();
+    const digest = crypto
+      .createHash(algorithm)
+      .update(content)
+      .digest('base64');
+    if (
+      !integrity.some(
+        (hash) => hash.algorithm === algorithm && hash.digest === digest
+      )
+    ) {
+      addProblem(
+        element,
+        null,
+        `the integrity attribute of ${url.pathname} doesn't match the file on disk`
+      );
+    }
+  };
+
+  elements.forEach((element) => {
+    const el = $(element);
+    const { tagName } = element;
+    const nonce = el.attr('nonce');
+
+    if (
+      tagName === 'script' &&
+      scriptTypeRegex.test(el.attr('type') || 'text/javascript')
+    ) {
+      const src = el.attr('src');
+      if (src !== undefined) {
+        const url = resolveUrl(element, src);
+        if (url) {
+          check(element, 'script-src-elem', {
+            url,
+            nonce,
+            integrity: el.attr('integrity'),
+            script: true,
+          });
+          checkIntegrity(element, url);
+        }
+      } else {
+        check(element, 'script-src-elem', {
+          content: el.html(),
+          nonce,
+          script: true,
+        });
+      }
+    }
+
+    if (tagName === 'style') {
+      check(element, 'style-src-elem', { content: el.html(), nonce });
+    }
+
+    if (
+      tagName === 'link' &&
+      `${el.attr('rel') || ''}`
+        .toLowerCase()
+        .split(/\s+/)
+        .includes('stylesheet') &&
+      el.attr('href')
+    ) {
+      const url = resolveUrl(element, el.attr('href'));
+      if (url) {
+        check(element, 'style-src-elem', { url, nonce });
+        checkIntegrity(element, url);
+      }
+    }
+
+    Object.keys(element.attribs).forEach((attribute) => {
+      // attribute values are hashed by browsers once their entities have been decoded
+      const decode = () =>
+        cheerio
+          .load(
+            `<p data-value="${el.attr(attribute).replace(/"/g, '&quot;')}"></p>`
+          )('p')
+          .attr('data-value');
+
+      if (/^on[a-z]+$/i.test(attribute)) {
+        check(
+          element,
+          'script-src-attr',
+          { content: decode(), attribute: true, script: true },
+          attribute
+        );
+      } else if (attribute.toLowerCase() === 'style') {
+        check(
+          element,
+          'style-src-attr',
+          { content: decode(), attribute: true },
+          attribute
+        );
+      }
+    });
+  });
+
+  return problems.sort((a, b) => a.line - b.line);
+};
+
+/**
+ * Finds every html file in a directory
+ * @param {object} fileSystem - the filesystem to read from
+ * @param {string} dir - the directory
+ * @return {string[]} - the absolute filenames
+ */
+const findHtmlFiles = (fileSystem, dir) =>
+  fileSystem
+    .readdirSync(dir)
+    .sort()
+    .reduce((files, name) => {
+      const filename = path.join(dir, name);
+      if (fileSystem.statSync(filename).isDirectory()) {
+        return name === 'node_modules'
+          ? files
+          : [...files, ...findHtmlFiles(fileSystem, filename)];
+      }
+      return /\.html?$/i.test(name) ? [...files, filename] : files;
+    }, []);
+
+/**
+ * Verifies every html file in a build against its own policy, see verifyHtml
+ * Returning the problems rather than throwing makes it easy to use in a test, e.g. expect(verifyBuild('dist')).toEqual([])
+ * @param {string} root - the webpack output path
+ * @param {object} [options] - the origin and fs options of verifyHtml
+ * @return {object[]} - the problems found in every file
+ */
+const verifyBuild = (root, options = {}) => {
+  const fileSystem = options.fs || defaultOptions.fs;
+
+  return findHtmlFiles(fileSystem, root).reduce(
+    (problems, filename) => [
+      ...problems,
+      ...verifyHtml(fileSystem.readFileSync(filename, 'utf8').toString(), {
+        ...options,
+        root,
+        filename: path.relative(root, filename),
+      }),
+    ],
+    []
+  );
+};
+
+module.exports = {
+  verifyHtml,
+  verifyBuild,
+};